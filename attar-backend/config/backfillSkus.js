@@ -0,0 +1,69 @@
+// ================================================
+// config/backfillSkus.js — Give existing product sizes a SKU
+// Run: node config/backfillSkus.js [--dry-run]
+//
+// Sizes saved before SKUs were required have none, so those products fail
+// validation on save and the unique sizes.sku index can't be built. Each
+// missing SKU is made from the product's initials and the size volume
+// ("Royal Hind Oud", 12ml → RHO-12), with a -2, -3… suffix when taken.
+// Builds the index afterwards. Safe to re-run: sizes with a SKU are kept.
+// ================================================
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/Product');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/zafar_attar';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const clean = (s) => String(s || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// "Royal Hind Oud" → RHO; a one-word name gives its first three letters
+const prefix = (name) => {
+  const words = String(name || '').split(/\s+/).map(clean).filter(Boolean);
+  const initials = words.length > 1 ? words.map(w => w[0]).join('').slice(0, 4) : (words[0] || '').slice(0, 3);
+  return initials.length >= 2 ? initials : 'SKU';
+};
+
+const skuFor = (product, size, index, taken) => {
+  const base = `${prefix(product.name)}-${clean(size.volume).replace(/ML$/, '') || index + 1}`.slice(0, 28);
+  let sku = base;
+  for (let n = 2; taken.has(sku); n++) sku = `${base}-${n}`;
+  taken.add(sku);
+  return sku;
+};
+
+const backfill = async () => {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const products = await Product.find().select('name sizes.volume sizes.sku').sort('createdAt _id').lean();
+    const taken = new Set(products.flatMap(p => p.sizes.map(s => s.sku && s.sku.toUpperCase()).filter(Boolean)));
+    const missing = products.filter(p => p.sizes.some(s => !s.sku));
+    console.log(`🏷️  ${missing.length} of ${products.length} products have sizes without a SKU${DRY_RUN ? ' (dry run)' : ''}`);
+
+    for (const product of missing) {
+      const set = {};
+      product.sizes.forEach((size, i) => {
+        if (!size.sku) set[`sizes.${i}.sku`] = skuFor(product, size, i, taken);
+      });
+      console.log(`   ${product.name}: ${Object.values(set).join(', ')}`);
+      if (!DRY_RUN) await Product.updateOne({ _id: product._id }, { $set: set });
+    }
+
+    if (!DRY_RUN) {
+      await Product.createIndexes();
+      console.log('🗂️  SKU index built');
+    }
+
+    console.log('\n✦ Backfill complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill error:', error.message);
+    process.exit(1);
+  }
+};
+
+backfill();
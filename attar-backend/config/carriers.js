@@ -0,0 +1,19 @@
+// ================================================
+// config/carriers.js — Carrier tracking pages
+// Keyed by the lower-cased carrier name stored on order.tracking.carrier;
+// {number} is replaced by the tracking number. An explicit tracking.url
+// on the order always wins.
+// ================================================
+
+module.exports = {
+  'aramex': 'https://www.aramex.com/track/results?ShipmentNumber={number}',
+  'dhl': 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id={number}',
+  'dhl express': 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id={number}',
+  'emirates post': 'https://www.emiratespost.ae/all-services/track-a-package/step-two?q={number}',
+  'fedex': 'https://www.fedex.com/fedextrack/?trknbr={number}',
+  'royal mail': 'https://www.royalmail.com/track-your-item#/tracking-results/{number}',
+  'smsa': 'https://www.smsaexpress.com/trackingdetails?tracknumbers={number}',
+  'ups': 'https://www.ups.com/track?tracknum={number}',
+  'usps': 'https://tools.usps.com/go/TrackConfirmAction?tLabels={number}',
+  'india post': 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx?consignment={number}'
+};
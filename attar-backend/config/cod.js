@@ -0,0 +1,26 @@
+// ================================================
+// config/cod.js — Cash on delivery rules
+//
+//   maxOrderValue   — orders above this total must be prepaid
+//   countries       — upper-cased country codes or names as customers type
+//                     them; empty means COD is offered everywhere
+//   maxRefusals     — customers with this many refused COD deliveries lose
+//                     COD (0 turns the check off)
+//   requireOtp      — customers confirm COD orders with a code sent by SMS
+//                     to the shipping phone number
+// ================================================
+
+const list = (value) => String(value || '')
+  .split(',')
+  .map(v => v.trim().toUpperCase())
+  .filter(Boolean);
+
+module.exports = {
+  maxOrderValue: Number(process.env.COD_MAX_ORDER_VALUE) || 500,
+  countries: list(process.env.COD_COUNTRIES),
+  maxRefusals: process.env.COD_MAX_REFUSALS !== undefined ? Number(process.env.COD_MAX_REFUSALS) : 1,
+  requireOtp: process.env.COD_REQUIRE_OTP === 'true',
+  otpMinutes: Number(process.env.COD_OTP_MINUTES) || 10,
+  otpMaxAttempts: 5,
+  otpResendSeconds: 60
+};
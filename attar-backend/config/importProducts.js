@@ -0,0 +1,49 @@
+// ================================================
+// config/importProducts.js — Import a product catalog file
+// Run: node config/importProducts.js <products.csv|products.json> [--dry-run]
+//
+// Same upsert as POST /api/products/import (services/catalog.js): rows
+// update the product with their slug or SKUs and create the rest. Unlike
+// the seed, nothing is deleted. Stock changes are booked in the ledger
+// without a user.
+// ================================================
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { importProducts } = require('../services/catalog');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/zafar_attar';
+const DRY_RUN = process.argv.includes('--dry-run');
+const FILE = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+const run = async () => {
+  if (!FILE) {
+    console.error('Usage: node config/importProducts.js <products.csv|products.json> [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    const input = fs.readFileSync(FILE, 'utf8');
+    const format = path.extname(FILE).toLowerCase() === '.csv' ? 'csv' : 'json';
+
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const report = await importProducts(input, { format, dryRun: DRY_RUN });
+    report.warnings.forEach(w => console.log(`⚠️  ${w}`));
+    for (const row of report.rows.filter(r => r.action === 'failed')) {
+      console.log(`   Row ${row.row} (${row.slug || row.name || '?'}): ${row.errors.join('; ')}`);
+    }
+
+    console.log(`\n✦ ${report.total} rows${DRY_RUN ? ' (dry run)' : ''}: ${report.created} created, ${report.updated} updated, ${report.unchanged} unchanged, ${report.failed} failed`);
+    process.exit(report.failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Import error:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
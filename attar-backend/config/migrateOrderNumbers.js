@@ -0,0 +1,51 @@
+// ================================================
+// config/migrateOrderNumbers.js — Renumber existing orders
+// Run: node config/migrateOrderNumbers.js [--dry-run]
+//
+// Gives every order still on the old ZA-<timestamp>-<count> format a
+// sequence number from its own year (oldest first), keeping the old number
+// in legacyOrderNumber so links and emails already sent keep working.
+// Safe to re-run: orders already on the new format are skipped.
+// ================================================
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Order = require('../models/Order');
+const { nextOrderNumber, isValidOrderNumber } = require('../services/orderNumbers');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/zafar_attar';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const orders = await Order.find().select('orderNumber legacyOrderNumber createdAt').sort('createdAt _id').lean();
+    const outdated = orders.filter(o => !isValidOrderNumber(o.orderNumber));
+    console.log(`🔢 ${outdated.length} of ${orders.length} orders need a new number${DRY_RUN ? ' (dry run)' : ''}`);
+
+    for (const order of outdated) {
+      if (DRY_RUN) {
+        console.log(`   ${order.orderNumber} (${order.createdAt.toISOString().slice(0, 10)})`);
+        continue;
+      }
+
+      const orderNumber = await nextOrderNumber(order.createdAt);
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { orderNumber, legacyOrderNumber: order.legacyOrderNumber || order.orderNumber } }
+      );
+      console.log(`   ${order.orderNumber} → ${orderNumber}`);
+    }
+
+    console.log('\n✦ Migration complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
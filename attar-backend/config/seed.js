@@ -9,6 +9,10 @@ require('dotenv').config();
 
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const QuizQuestion = require('../models/QuizQuestion');
+const StockMovement = require('../models/StockMovement');
+const { recordInitialStock } = require('../services/inventory');
 
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/zafar_attar';
 
@@ -165,6 +169,67 @@ const sampleProducts = [
   }
 ];
 
+const sampleCoupons = [
+  { code: 'WELCOME10', type: 'percentage', value: 10, description: '10% off your first order', firstOrderOnly: true, perUserLimit: 1 },
+  { code: 'ATTAR20',   type: 'percentage', value: 20, description: '20% discount', maxDiscount: 100 },
+  { code: 'FREESHIP',  type: 'freeShipping', description: 'Free shipping' },
+  { code: 'ROYAL50',   type: 'fixed', value: 50, description: '$50 off orders over $200', minSubtotal: 200 }
+];
+
+// Scent finder — see models/QuizQuestion.js for the attributes answers can weigh
+const w = (attribute, value, weight = 1) => ({ attribute, value, weight });
+const sampleQuizQuestions = [
+  {
+    question: 'Who will be wearing it?',
+    position: 1,
+    answers: [
+      { label: 'Me — I like masculine scents', weights: [w('gender', 'Masculine', 2), w('gender', 'Unisex')] },
+      { label: 'Me — I like feminine scents', weights: [w('gender', 'Feminine', 2), w('gender', 'Unisex')] },
+      { label: 'Anyone, it is a gift', weights: [w('gender', 'Unisex', 2), w('category', 'Gift Sets')] }
+    ]
+  },
+  {
+    question: 'Which of these draws you in?',
+    description: 'Pick as many as you like.',
+    multiple: true,
+    position: 2,
+    answers: [
+      { label: 'Smoky woods and oud', weights: [w('notes', 'Oud', 2), w('notes', 'Wood'), w('category', 'Oud & Agarwood', 2)] },
+      { label: 'Fresh flowers', weights: [w('notes', 'Rose', 2), w('notes', 'Jasmine', 2), w('category', 'Rose & Florals', 2)] },
+      { label: 'Warm spices', weights: [w('notes', 'Saffron', 2), w('notes', 'Cardamom'), w('category', 'Spice & Oriental', 2)] },
+      { label: 'Soft musk and amber', weights: [w('notes', 'Musk', 2), w('notes', 'Amber'), w('category', 'Musk & Amber', 2)] },
+      { label: 'Creamy sandalwood', weights: [w('notes', 'Sandalwood', 2)] }
+    ]
+  },
+  {
+    question: 'When will you wear it most?',
+    position: 3,
+    answers: [
+      { label: 'Warm days', weights: [w('season', 'Spring'), w('season', 'Summer'), w('season', 'All Year')] },
+      { label: 'Cool evenings', weights: [w('season', 'Autumn'), w('season', 'Winter'), w('season', 'All Year')] },
+      { label: 'All year round', weights: [w('season', 'All Year', 2)] }
+    ]
+  },
+  {
+    question: 'How noticeable should it be?',
+    position: 4,
+    answers: [
+      { label: 'Close to the skin', weights: [w('sillage', 'Intimate', 2), w('sillage', 'Moderate'), w('sillage', 'Very Strong', -2)] },
+      { label: 'Noticed when people come close', weights: [w('sillage', 'Moderate', 2), w('sillage', 'Strong')] },
+      { label: 'Fill the room', weights: [w('sillage', 'Very Strong', 2), w('sillage', 'Strong'), w('longevity', '12+ hours')] }
+    ]
+  },
+  {
+    question: 'What would you like to spend on a 3ml bottle?',
+    position: 5,
+    answers: [
+      { label: 'Up to $50', weights: [w('maxPrice', '50', 2)] },
+      { label: 'Up to $120', weights: [w('maxPrice', '120', 2)] },
+      { label: 'Whatever it takes', weights: [w('maxPrice', '1000')] }
+    ]
+  }
+];
+
 const seedDB = async () => {
   try {
     await mongoose.connect(MONGO_URI);
@@ -173,6 +238,9 @@ const seedDB = async () => {
     // Clear existing data
     await User.deleteMany({});
     await Product.deleteMany({});
+    await Coupon.deleteMany({});
+    await StockMovement.deleteMany({});
+    await QuizQuestion.deleteMany({});
     console.log('🗑️  Cleared existing data');
 
     // Create admin user
@@ -198,8 +266,17 @@ const seedDB = async () => {
 
     // Create products
     const products = await Product.insertMany(sampleProducts);
+    for (const product of products) await recordInitialStock(product, { user: adminUser._id });
     console.log(`📦 Created ${products.length} products`);
 
+    // Create coupons
+    const coupons = await Coupon.insertMany(sampleCoupons);
+    console.log(`🏷️  Created ${coupons.length} coupons`);
+
+    // Create scent finder questions
+    const questions = await QuizQuestion.insertMany(sampleQuizQuestions);
+    console.log(`🧭 Created ${questions.length} quiz questions`);
+
     console.log('\n✦ Seed complete! Here are your login credentials:\n');
     console.log('  Admin:    admin@zafarattar.com  /  Admin@12345');
     console.log('  Customer: customer@example.com  /  Customer@123\n');
@@ -0,0 +1,21 @@
+// ================================================
+// config/stripe.js — Shared Stripe client
+// getStripe() is null when STRIPE_SECRET_KEY is not set.
+// STRIPE_MOCK=true swaps in an offline fake (utils/stripeMock.js; refused
+// when NODE_ENV=production), and tests can inject their own client with
+// setStripeClient().
+// ================================================
+
+require('dotenv').config();
+
+let client = null;
+if (process.env.STRIPE_MOCK === 'true') {
+  client = require('../utils/stripeMock')();
+} else if (process.env.STRIPE_SECRET_KEY) {
+  client = require('stripe')(process.env.STRIPE_SECRET_KEY);
+}
+
+module.exports = {
+  getStripe: () => client,
+  setStripeClient: (next) => { client = next; }
+};
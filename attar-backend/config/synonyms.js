@@ -0,0 +1,23 @@
+// ================================================
+// config/synonyms.js — Search synonyms for attar terms
+// Each group lists spellings and names customers use for the same thing;
+// a query word matching any of them also matches the others. Lower-case,
+// single words only.
+// ================================================
+
+module.exports = [
+  ['oud', 'oudh', 'aoud', 'oodh', 'agarwood', 'agar', 'aloeswood'],
+  ['ruh', 'rooh'],
+  ['attar', 'ittar', 'itr', 'ittr', 'atar'],
+  ['musk', 'musc', 'misk', 'mushk'],
+  ['sandalwood', 'sandal', 'chandan', 'mysore'],
+  ['rose', 'gulab', 'ward', 'taif'],
+  ['amber', 'ambar', 'anbar'],
+  ['saffron', 'zafran', 'kesar', 'kesari'],
+  ['jasmine', 'motia', 'chameli', 'yasmin'],
+  ['vetiver', 'khus', 'khas'],
+  ['bakhoor', 'bukhoor', 'bakhur'],
+  ['shamama', 'shamamah'],
+  ['mitti', 'petrichor', 'earth'],
+  ['kewra', 'kewda', 'pandanus']
+];
@@ -0,0 +1,75 @@
+// ================================================
+// config/tax.js — Tax rules by region
+//
+// Rules are matched on the shipping address: a country + state rule wins
+// over a country-only rule, which wins over `default`.
+//   rate            — standard rate (0.05 = 5%)
+//   categoryRates   — per-category overrides, keyed by Product.category
+//   taxShipping     — shipping is taxed at the standard rate
+//   inclusive       — catalogue prices already include tax; the tax is
+//                     extracted from them instead of added on top
+// ================================================
+
+module.exports = {
+  default: {
+    name: 'Sales Tax',
+    rate: 0.05,
+    taxShipping: false,
+    inclusive: false
+  },
+
+  regions: [
+    {
+      name: 'UAE VAT',
+      countries: ['AE', 'UAE', 'UNITED ARAB EMIRATES'],
+      rate: 0.05,
+      taxShipping: true,
+      inclusive: true
+    },
+    {
+      name: 'KSA VAT',
+      countries: ['SA', 'KSA', 'SAUDI ARABIA'],
+      rate: 0.15,
+      taxShipping: true,
+      inclusive: true
+    },
+    {
+      name: 'UK VAT',
+      countries: ['GB', 'UK', 'UNITED KINGDOM'],
+      rate: 0.20,
+      taxShipping: true,
+      inclusive: true
+    },
+    {
+      name: 'India GST',
+      countries: ['IN', 'INDIA'],
+      rate: 0.18,
+      categoryRates: { 'Gift Sets': 0.12 },
+      taxShipping: true,
+      inclusive: true
+    },
+    {
+      name: 'New York Sales Tax',
+      countries: ['US', 'USA', 'UNITED STATES'],
+      states: ['NY', 'NEW YORK'],
+      rate: 0.08875,
+      taxShipping: true,
+      inclusive: false
+    },
+    {
+      name: 'California Sales Tax',
+      countries: ['US', 'USA', 'UNITED STATES'],
+      states: ['CA', 'CALIFORNIA'],
+      rate: 0.0725,
+      taxShipping: false,
+      inclusive: false
+    },
+    {
+      name: 'US Sales Tax',
+      countries: ['US', 'USA', 'UNITED STATES'],
+      rate: 0,
+      taxShipping: false,
+      inclusive: false
+    }
+  ]
+};
@@ -4,6 +4,24 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Decode an access token and make sure its session is still live.
+// Returns { user, sessionId }, or { error } when the token must be refused.
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+  if (!decoded.sid) return { error: 'Session expired, please login again.' };
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.id).select('-password'),
+    Session.findOne({ _id: decoded.sid, user: decoded.id, revokedAt: { $exists: false } }).select('_id')
+  ]);
+
+  if (!user) return { error: 'User no longer exists.' };
+  if (!session) return { error: 'Session has been logged out.' };
+
+  return { user, sessionId: decoded.sid };
+};
 
 // Protect routes — must be logged in
 exports.protect = async (req, res, next) => {
@@ -18,11 +36,10 @@ exports.protect = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'Access denied. Please login.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-    const user = await User.findById(decoded.id).select('-password');
+    const { user, sessionId, error } = await authenticate(token);
 
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'User no longer exists.' });
+    if (error) {
+      return res.status(401).json({ success: false, message: error });
     }
 
     if (!user.isActive) {
@@ -30,6 +47,7 @@ exports.protect = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     return res.status(401).json({ success: false, message: 'Invalid or expired token.' });
@@ -52,11 +70,41 @@ exports.optionalAuth = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-      req.user = await User.findById(decoded.id).select('-password');
+      const { user, sessionId } = await authenticate(token);
+      if (user) {
+        req.user = user;
+        req.sessionId = sessionId;
+      }
     }
   } catch (e) {
     // silently fail — optional auth
   }
   next();
 };
+
+// Guest order access — the token issued at guest checkout, sent as the
+// X-Order-Token header or ?accessToken= (links in emails)
+exports.orderAccessToken = (req) => req.headers['x-order-token'] || req.query.accessToken;
+
+// Whether REQUIRE_VERIFIED_EMAIL gates an action.
+// It lists the gated actions, e.g. "orders,reviews" (default), or "none".
+const verificationRequired = (action) =>
+  (process.env.REQUIRE_VERIFIED_EMAIL || 'orders,reviews')
+    .split(',')
+    .map(a => a.trim())
+    .includes(action);
+exports.verificationRequired = verificationRequired;
+
+// Block an action until the email is verified.
+// Guests pass through — routes that accept guests (checkout) check the
+// guest email against unverified accounts themselves.
+exports.requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!verificationRequired(action) || !req.user || req.user.isEmailVerified) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address first.'
+  });
+};
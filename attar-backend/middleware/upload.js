@@ -0,0 +1,65 @@
+// ================================================
+// middleware/upload.js — Multipart uploads (multer)
+// Files stay in memory; services/images.js writes the resized image
+// variants, services/catalog.js reads product import files
+// ================================================
+
+const multer = require('multer');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_SIZE_MB = Number(process.env.MAX_IMAGE_SIZE_MB) || 5;
+const MAX_FILES = 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SIZE_MB * 1024 * 1024, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      const err = new Error(`Unsupported file type ${file.mimetype} — use JPEG, PNG or WebP`);
+      err.statusCode = 400;
+      return cb(err);
+    }
+    cb(null, true);
+  }
+});
+
+// Wrap multer so its errors come back in the API's JSON shape
+exports.uploadImages = (field) => (req, res, next) => {
+  upload.array(field, MAX_FILES)(req, res, (err) => {
+    if (!err) return next();
+
+    let message = err.message;
+    if (err.code === 'LIMIT_FILE_SIZE') message = `Each image must be under ${MAX_SIZE_MB}MB`;
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') message = `Upload up to ${MAX_FILES} images in the "${field}" field`;
+
+    return res.status(400).json({ success: false, message });
+  });
+};
+
+// ─── Catalog import files ─────────────────────────
+const MAX_IMPORT_MB = Number(process.env.IMPORT_MAX_MB) || 20;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|json)$/i.test(file.originalname)) {
+      const err = new Error('Upload a .csv or .json file');
+      err.statusCode = 400;
+      return cb(err);
+    }
+    cb(null, true);
+  }
+});
+
+exports.uploadImportFile = (field) => (req, res, next) => {
+  importUpload.single(field)(req, res, (err) => {
+    if (!err) return next();
+
+    let message = err.message;
+    if (err.code === 'LIMIT_FILE_SIZE') message = `Import files must be under ${MAX_IMPORT_MB}MB`;
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') message = `Upload one file in the "${field}" field`;
+
+    return res.status(400).json({ success: false, message });
+  });
+};
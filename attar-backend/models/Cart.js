@@ -0,0 +1,135 @@
+// ================================================
+// models/Cart.js — Persistent Cart Schema
+// Carts belong to a user, or to an anonymous guest token
+// ================================================
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  token: {
+    type: String,
+    index: true
+  },
+  items: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    size: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    price: Number,                                    // last price shown to the shopper
+    addedAt: { type: Date, default: Date.now }
+  }],
+  expiresAt: Date                                     // guest carts only
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Guest carts slide their expiry forward on every change
+cartSchema.pre('save', function (next) {
+  if (!this.user) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  } else {
+    this.expiresAt = undefined;
+  }
+  next();
+});
+
+cartSchema.statics.generateToken = function () {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+// Add or bump a line — same product + size share one line
+cartSchema.methods.addItem = function (productId, size, quantity) {
+  const line = this.items.find(i => i.product.toString() === productId.toString() && i.size === size);
+  if (line) {
+    line.quantity += quantity;
+  } else {
+    this.items.push({ product: productId, size, quantity });
+  }
+};
+
+// Re-check every line against the catalogue: drops missing products/sizes,
+// clamps quantities to stock and picks up price changes. Saves when anything moved.
+cartSchema.methods.refresh = async function () {
+  const Product = mongoose.model('Product');
+  const ids = [...new Set(this.items.map(i => i.product.toString()))];
+  const products = await Product.find({ _id: { $in: ids } }).select('name slug images sizes category isActive');
+  const byId = new Map(products.map(p => [p._id.toString(), p]));
+
+  const warnings = [];
+  const items = [];
+  const keep = [];
+
+  for (const line of this.items) {
+    const product = byId.get(line.product.toString());
+    const sizeObj = product?.isActive && product.sizes.find(s => s.volume === line.size);
+
+    if (!sizeObj) {
+      warnings.push({ type: 'removed', product: line.product, size: line.size, message: 'Item is no longer available' });
+      continue;
+    }
+    if (sizeObj.stock === 0) {
+      warnings.push({ type: 'removed', product: product._id, size: line.size, message: `${product.name} (${line.size}) is out of stock` });
+      continue;
+    }
+    if (line.quantity > sizeObj.stock) {
+      warnings.push({ type: 'quantity', product: product._id, size: line.size, message: `Only ${sizeObj.stock} of ${product.name} (${line.size}) left` });
+      line.quantity = sizeObj.stock;
+    }
+    if (line.price !== undefined && line.price !== sizeObj.price) {
+      warnings.push({ type: 'price', product: product._id, size: line.size, message: `Price of ${product.name} (${line.size}) changed from $${line.price} to $${sizeObj.price}` });
+    }
+    line.price = sizeObj.price;
+    keep.push(line);
+
+    items.push({
+      _id: line._id,
+      productId: product._id,
+      name: product.name,
+      slug: product.slug,
+      category: product.category,
+      image: product.images[0]?.url || null,
+      size: line.size,
+      price: sizeObj.price,
+      weight: sizeObj.weight,
+      stock: sizeObj.stock,
+      quantity: line.quantity,
+      subtotal: Math.round(sizeObj.price * line.quantity * 100) / 100
+    });
+  }
+
+  if (keep.length !== this.items.length) this.items = keep;
+  if (this.isModified()) await this.save();
+
+  return { items, warnings };
+};
+
+// Fold a guest cart into the user's cart (login / register) and drop the guest cart
+cartSchema.statics.mergeGuestCart = async function (token, userId) {
+  if (!token) return null;
+
+  const guest = await this.findOne({ token, user: { $exists: false } });
+  if (!guest) return null;
+
+  let cart = await this.findOne({ user: userId });
+  if (!cart) {
+    guest.user = userId;
+    guest.token = undefined;
+    return guest.save();
+  }
+
+  guest.items.forEach(i => cart.addItem(i.product, i.size, i.quantity));
+  await cart.save();
+  await guest.deleteOne();
+  return cart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,27 @@
+// ================================================
+// models/Counter.js — Named sequences
+// One document per sequence (e.g. "invoice-2026"); next() hands out
+// unique, increasing numbers atomically, even across server instances.
+// A number drawn and then not used is skipped; to keep a sequence gap-free,
+// draw it in the same transaction as the write that stores it.
+// ================================================
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },          // sequence name
+  seq: { type: Number, default: 0 }
+}, {
+  versionKey: false
+});
+
+counterSchema.statics.next = async function (name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
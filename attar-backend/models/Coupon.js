@@ -0,0 +1,162 @@
+// ================================================
+// models/Coupon.js — Coupon Schema + discount engine
+// ================================================
+
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: ['percentage', 'fixed', 'freeShipping']
+  },
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxDiscount: { type: Number, min: 0 },         // cap for percentage coupons
+  minSubtotal: { type: Number, min: 0, default: 0 },
+  appliesTo: {
+    categories: [String],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  usageLimit: { type: Number, min: 1 },          // total redemptions allowed
+  perUserLimit: { type: Number, min: 1 },
+  usedCount: { type: Number, default: 0, min: 0 },
+  firstOrderOnly: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// Percentage coupons cannot exceed 100%
+couponSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  next();
+});
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Lines the coupon may discount — all of them unless restricted
+couponSchema.methods.eligibleLines = function (items) {
+  const categories = this.appliesTo?.categories || [];
+  const products = (this.appliesTo?.products || []).map(id => id.toString());
+  if (!categories.length && !products.length) return items;
+
+  return items.filter(i =>
+    categories.includes(i.category) || products.includes(i.product.toString())
+  );
+};
+
+// Discount for a set of priced lines: [{ product, category, price, quantity }]
+couponSchema.methods.calculateDiscount = function (items) {
+  const eligibleSubtotal = this.eligibleLines(items).reduce((s, i) => s + i.price * i.quantity, 0);
+
+  let discount = 0;
+  if (this.type === 'percentage') {
+    discount = eligibleSubtotal * this.value / 100;
+    if (this.maxDiscount) discount = Math.min(discount, this.maxDiscount);
+  } else if (this.type === 'fixed') {
+    discount = Math.min(this.value, eligibleSubtotal);
+  }
+
+  return {
+    discount: round(discount),
+    freeShipping: this.type === 'freeShipping'
+  };
+};
+
+// Validate a code against a cart and user (or guest email). Never throws for
+// business rules — returns { valid: false, message } so routes can answer with a 400.
+couponSchema.statics.applyToCart = async function (code, { user, email, items }) {
+  if (!code) return { valid: false, message: 'Coupon code is required' };
+
+  const coupon = await this.findOne({ code: String(code).toUpperCase().trim() });
+  if (!coupon || !coupon.isActive) {
+    return { valid: false, message: 'Invalid coupon code' };
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { valid: false, message: 'This coupon is not active yet' };
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    return { valid: false, message: 'This coupon has expired' };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { valid: false, message: 'This coupon has reached its usage limit' };
+  }
+
+  const customer = user ? { user: user._id } : email ? { 'guest.email': String(email).toLowerCase() } : null;
+  if (customer && (coupon.perUserLimit || coupon.firstOrderOnly)) {
+    const Order = mongoose.model('Order');
+    const activeStatuses = { $nin: ['cancelled'] };
+
+    if (coupon.firstOrderOnly) {
+      const previous = await Order.countDocuments({ ...customer, status: activeStatuses });
+      if (previous > 0) {
+        return { valid: false, message: 'This coupon is only valid on your first order' };
+      }
+    }
+
+    if (coupon.perUserLimit) {
+      const used = await Order.countDocuments({ ...customer, 'coupon.code': coupon.code, status: activeStatuses });
+      if (used >= coupon.perUserLimit) {
+        return { valid: false, message: 'You have already used this coupon' };
+      }
+    }
+  }
+
+  if (!items) return { valid: true, coupon };
+
+  const subtotal = items.reduce((s, i) => s + i.price * i.quantity, 0);
+  if (subtotal < coupon.minSubtotal) {
+    return { valid: false, message: `Minimum order of $${coupon.minSubtotal} required for this coupon` };
+  }
+  if (coupon.type !== 'freeShipping' && coupon.eligibleLines(items).length === 0) {
+    return { valid: false, message: 'This coupon does not apply to any item in your cart' };
+  }
+
+  return { valid: true, coupon, ...coupon.calculateDiscount(items) };
+};
+
+// Atomically consume one use — false if the global limit was hit meanwhile
+couponSchema.statics.redeem = async function (couponId, session = null) {
+  const result = await this.updateOne(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give a use back (cancelled order, failed checkout)
+couponSchema.statics.release = async function (code, session = null) {
+  await this.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -3,24 +3,38 @@
 // ================================================
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Counter = require('./Counter');
+const { withTransaction } = require('../utils/transaction');
+const { nextOrderNumber, normalizeOrderNumber } = require('../services/orderNumbers');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
     unique: true
   },
+  legacyOrderNumber: String,    // pre-sequence number, kept so old emails still resolve
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+  // Guest checkout — set instead of user. An account later registered (and
+  // verified) with the same email claims the order.
+  guest: {
+    email: { type: String, lowercase: true, trim: true },
+    phone: String,
+    accessTokenHash: { type: String, select: false }   // sha256 of the order-access token
   },
   items: [{
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
     name: String,
+    category: String,
     image: String,
     size: String,
     price: { type: Number, required: true },
-    quantity: { type: Number, required: true, min: 1 }
+    quantity: { type: Number, required: true, min: 1 },
+    taxRate: Number,                    // e.g. 0.05
+    tax: { type: Number, default: 0 }   // tax on this line after its share of the discount
   }],
   shippingAddress: {
     fullName: { type: String, required: true },
@@ -31,29 +45,74 @@ const orderSchema = new mongoose.Schema({
     zipCode: { type: String, required: true },
     phone: { type: String, required: true }
   },
+  shippingMethod: {
+    zone: String,
+    service: String,          // "standard", "express", ...
+    name: String,
+    carrier: String,
+    cost: Number,
+    estimatedDays: { min: Number, max: Number }
+  },
   pricing: {
     subtotal: { type: Number, required: true },
     shipping: { type: Number, default: 0 },
-    tax: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },            // sum of line taxes + shippingTax
+    shippingTax: { type: Number, default: 0 },
+    taxInclusive: { type: Boolean, default: false },
+    taxRegion: String,
     discount: { type: Number, default: 0 },
     total: { type: Number, required: true }
   },
   coupon: {
     code: String,
+    type: { type: String },
     discount: Number
   },
   payment: {
-    method: { type: String, enum: ['stripe', 'cod', 'bank_transfer'], default: 'stripe' },
-    status: { type: String, enum: ['pending', 'paid', 'failed', 'refunded'], default: 'pending' },
+    method: { type: String, enum: ['stripe', 'cod', 'bank_transfer', 'fake'], default: 'stripe' },
+    status: { type: String, enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'], default: 'pending' },
     stripePaymentId: String,
     stripeClientSecret: String,
-    paidAt: Date
+    reference: String,        // bank transfer reference the customer quotes
+    transactionId: String,    // bank / test provider transaction id
+    paidAt: Date,
+    refundedAmount: { type: Number, default: 0 },
+    refunds: [{
+      amount: Number,
+      method: String,
+      stripeRefundId: String,
+      reason: String,
+      createdAt: { type: Date, default: Date.now }
+    }],
+    cod: {
+      otpHash: { type: String, select: false },
+      otpExpires: Date,
+      otpAttempts: { type: Number, default: 0 },
+      otpSentAt: Date,
+      phoneVerifiedAt: Date,
+      collectedAt: Date,        // cash handed to the courier
+      collectedAmount: Number,
+      refusedAt: Date,          // customer refused the parcel at the door
+      refusalReason: String
+    },
+    dispute: {
+      id: String,
+      reason: String,
+      amount: Number,
+      status: String,
+      openedAt: Date
+    }
   },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
     default: 'pending'
   },
+  reservation: {
+    expiresAt: Date,    // unpaid card orders release their stock after this
+    releasedAt: Date,       // set once stock has been returned
+    releaseFailedAt: Date   // cancelled, but the restock failed — retried by the reservation job
+  },
   statusHistory: [{
     status: String,
     message: String,
@@ -65,6 +124,10 @@ const orderSchema = new mongoose.Schema({
     url: String,
     estimatedDelivery: Date
   },
+  invoice: {
+    number: String,           // INV-2026-000042 — own sequence, assigned on first invoice
+    issuedAt: Date
+  },
   notes: String,
   isGift: { type: Boolean, default: false },
   giftMessage: String
@@ -72,11 +135,104 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Auto-generate order number
+orderSchema.index({ 'reservation.expiresAt': 1 }, { sparse: true });
+orderSchema.index({ 'payment.reference': 1 }, { sparse: true });
+orderSchema.index({ 'guest.email': 1 }, { sparse: true });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+orderSchema.index({ legacyOrderNumber: 1 }, { sparse: true });
+
+// Every order belongs to an account or to a guest email
+orderSchema.pre('validate', function (next) {
+  if (!this.user && !this.guest?.email) {
+    this.invalidate('user', 'An order needs a customer account or a guest email');
+  }
+  next();
+});
+
+const hashAccessToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue the guest's order-access token — only its hash is stored, so it is
+// returned once here and in the confirmation email
+orderSchema.methods.createAccessToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.guest.accessTokenHash = hashAccessToken(token);
+  return token;
+};
+
+// Owner, admin, or a guest presenting the order-access token.
+// Guest orders must be loaded with .select('+guest.accessTokenHash').
+orderSchema.methods.isAccessibleBy = function (user, accessToken) {
+  if (user?.role === 'admin') return true;
+  if (user && this.user) return (this.user._id || this.user).toString() === user._id.toString();
+  if (!accessToken || !this.guest?.accessTokenHash) return false;
+
+  const given = Buffer.from(hashAccessToken(accessToken));
+  return crypto.timingSafeEqual(given, Buffer.from(this.guest.accessTokenHash));
+};
+
+// Where customer emails go — the account's address, or the guest's
+orderSchema.methods.customerEmail = async function () {
+  if (!this.user) return this.guest?.email;
+  if (!this.populated('user')) await this.populate('user', 'email');
+  return this.user?.email;
+};
+
+// Issue the invoice number on first use. Numbers run per calendar year and
+// never repeat. The number is drawn and stored on the order in one
+// transaction: two requests racing for it conflict on the counter, and the
+// retried one finds the number already issued, so the sequence stays
+// gap-free. A standalone server has no transactions — there a lost race
+// skips a number (it still never issues one twice).
+orderSchema.methods.ensureInvoiceNumber = async function () {
+  if (this.invoice?.number) return this.invoice.number;
+  const Order = this.constructor;
+
+  this.invoice = await withTransaction(async ({ session }) => {
+    const current = await Order.findById(this._id).select('invoice').session(session);
+    if (current.invoice?.number) return current.invoice;
+
+    const year = new Date().getFullYear();
+    const seq = await Counter.next(`invoice-${year}`, session);
+    const updated = await Order.findOneAndUpdate(
+      { _id: this._id, 'invoice.number': { $exists: false } },
+      { $set: { invoice: { number: `INV-${year}-${String(seq).padStart(6, '0')}`, issuedAt: new Date() } } },
+      { new: true, session }
+    ) || await Order.findById(this._id).select('invoice').session(session);
+    return updated.invoice;
+  });
+  return this.invoice.number;
+};
+
+// Secrets stay on the server even when selected for a check
+orderSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  if (obj.guest) delete obj.guest.accessTokenHash;
+  if (obj.payment?.cod) delete obj.payment.cod.otpHash;
+  return obj;
+};
+
+// Attach earlier guest orders to an account with the same (verified) email
+orderSchema.statics.claimGuestOrders = async function (user) {
+  const result = await this.updateMany(
+    { user: { $exists: false }, 'guest.email': user.email.toLowerCase() },
+    { $set: { user: user._id } }
+  );
+  return result.modifiedCount;
+};
+
+// Look an order up by id or by order number (current or legacy format).
+// Returns a query, so callers can still .select() / .populate().
+orderSchema.statics.findByRef = function (ref) {
+  if (mongoose.isValidObjectId(ref) && String(ref).length === 24) return this.findById(ref);
+
+  const orderNumber = normalizeOrderNumber(ref);
+  return this.findOne({ $or: [{ orderNumber }, { legacyOrderNumber: orderNumber }] });
+};
+
+// Order number from the shared sequence — see services/orderNumbers.js
 orderSchema.pre('save', async function (next) {
   if (!this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `ZA-${Date.now()}-${String(count + 1).padStart(4, '0')}`;
+    this.orderNumber = await nextOrderNumber();
   }
   next();
 });
@@ -0,0 +1,31 @@
+// ================================================
+// models/OutboxEmail.js — Queued transactional email
+// Every message is stored first, then delivered (and retried) from here.
+// Bodies are encrypted by services/mail.js and removed once delivery ends.
+// ================================================
+
+const mongoose = require('mongoose');
+
+const outboxEmailSchema = new mongoose.Schema({
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: String,                           // encrypted, until sent or failed
+  text: String,
+  template: String,                       // e.g. "orderPlaced"
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  messageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('OutboxEmail', outboxEmailSchema);
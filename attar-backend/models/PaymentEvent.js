@@ -0,0 +1,61 @@
+// ================================================
+// models/PaymentEvent.js — Payment provider webhook log
+// One document per provider event id, so redeliveries are recognised
+// and any event can be inspected or replayed later
+// ================================================
+
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema({
+  provider: { type: String, default: 'stripe' },
+  eventId: { type: String, required: true },       // e.g. "evt_..."
+  type: { type: String, required: true },          // e.g. "charge.refunded"
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  result: String,                                  // what the handler did
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+// A "processing" claim this old was left behind by a crash and may be taken again
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// Query for events a handler may claim: anything not in progress, or stuck in it
+paymentEventSchema.statics.claimable = () => ({
+  $or: [
+    { status: { $ne: 'processing' } },
+    { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } }
+  ]
+});
+
+paymentEventSchema.methods.isStuck = function () {
+  return this.status === 'processing' && this.updatedAt < new Date(Date.now() - STALE_CLAIM_MS);
+};
+
+// Store an incoming event once. Returns { record, duplicate } — duplicate is
+// true when the event was already handled (or is being handled right now).
+paymentEventSchema.statics.record = async function (event, provider = 'stripe') {
+  try {
+    const record = await this.create({ provider, eventId: event.id, type: event.type, payload: event });
+    return { record, duplicate: false };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // Seen before — only a failed, never-started or stuck attempt is worth running again
+    const record = await this.findOne({ provider, eventId: event.id });
+    return { record, duplicate: !['received', 'failed'].includes(record.status) && !record.isStuck() };
+  }
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
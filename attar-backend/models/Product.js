@@ -39,16 +39,40 @@ const productSchema = new mongoose.Schema({
     middle: [String],
     base: [String]
   },
-  sizes: [{
-    volume: { type: String, required: true },  // e.g. "3ml", "6ml", "12ml"
-    price: { type: Number, required: true, min: 0 },
-    stock: { type: Number, required: true, min: 0, default: 0 },
-    sku: String
-  }],
+  sizes: {
+    type: [{
+      volume: { type: String, required: true },  // e.g. "3ml", "6ml", "12ml"
+      price: { type: Number, required: true, min: 0 },
+      stock: { type: Number, required: true, min: 0, default: 0 },
+      weight: { type: Number, min: 0 },          // shipping weight in grams
+      sku: {                                     // unique across the catalogue, e.g. "RHO-12"
+        type: String,
+        required: [true, 'Each size needs a SKU'],
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9][A-Z0-9-]{1,31}$/, 'SKU may only contain letters, digits and dashes (2-32 characters)']
+      },
+      // Reordering — unset values fall back to the defaults in services/reorder.js
+      reorderPoint: { type: Number, min: 0 },      // alert at or below this stock
+      supplier: { type: String, trim: true },
+      leadTimeDays: { type: Number, min: 0 },      // days from order to shelf
+      lowStockAlertAt: Date                        // set while an alert is outstanding
+    }],
+    validate: {
+      validator: (sizes) => new Set(sizes.map(s => s.sku)).size === sizes.length,
+      message: 'Each size needs its own SKU'
+    }
+  },
   images: [{
     url: String,
     alt: String,
-    isPrimary: { type: Boolean, default: false }
+    isPrimary: { type: Boolean, default: false },
+    key: String,                      // storage key for uploaded images (services/images.js)
+    variants: {
+      thumbnail: String,
+      medium: String,
+      large: String
+    }
   }],
   badge: {
     type: String,
@@ -99,20 +123,35 @@ productSchema.virtual('reviews', {
   localField: '_id'
 });
 
+// "Royal Hind Oud" → "royal-hind-oud"
+productSchema.statics.slugify = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
 // Auto-generate slug from name
 productSchema.pre('save', function (next) {
   if (this.isModified('name')) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
+    this.slug = this.constructor.slugify(this.name);
   }
   next();
 });
 
+// Mark one image primary and move it to the front — the rest of the
+// app treats images[0] as the product's main picture
+productSchema.methods.setPrimaryImage = function (imageId) {
+  const primary = this.images.id(imageId) || this.images[0];
+  if (!primary) return;
+
+  this.images.forEach(img => { img.isPrimary = img._id.equals(primary._id); });
+  const rest = this.images.filter(img => !img._id.equals(primary._id));
+  this.images = [primary, ...rest];
+};
+
 // Index for search performance
 productSchema.index({ name: 'text', description: 'text', tags: 'text' });
 productSchema.index({ category: 1, isActive: 1 });
 productSchema.index({ slug: 1 });
+productSchema.index({ 'sizes.sku': 1 }, { unique: true });
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,98 @@
+// ================================================
+// models/QuizQuestion.js — Scent finder questionnaire
+// Each answer carries weights on product attributes: picking it adds
+// (or, with a negative weight, takes away) that much for every product
+// with the attribute value. Scoring lives in services/quiz.js.
+// ================================================
+
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+// Attributes an answer can weigh, and the product path holding the
+// allowed values (checked on save). Notes and maxPrice are free-form.
+const ENUM_PATHS = {
+  gender: 'gender',
+  season: 'season',
+  sillage: 'sillage',
+  longevity: 'longevity',
+  category: 'category'
+};
+const ATTRIBUTES = [
+  ...Object.keys(ENUM_PATHS),
+  'notes',            // any tier
+  'topNotes',
+  'middleNotes',
+  'baseNotes',
+  'concentration',
+  'origin',
+  'maxPrice'          // lowest size price at or below the value
+];
+
+const weightSchema = new mongoose.Schema({
+  attribute: {
+    type: String,
+    required: [true, 'Attribute is required'],
+    enum: ATTRIBUTES
+  },
+  value: {
+    type: String,
+    required: [true, 'Attribute value is required'],
+    trim: true
+  },
+  weight: { type: Number, min: -5, max: 5, default: 1 }
+}, { _id: false });
+
+const answerSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Answer label is required'],
+    trim: true,
+    maxlength: [100, 'Answer label cannot exceed 100 characters']
+  },
+  description: String,
+  weights: [weightSchema]
+});
+
+const quizQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    maxlength: [200, 'Question cannot exceed 200 characters']
+  },
+  description: String,
+  multiple: { type: Boolean, default: false },   // customers may pick several answers
+  position: { type: Number, default: 0 },        // questions are asked in ascending order
+  answers: {
+    type: [answerSchema],
+    validate: {
+      validator: (answers) => answers.length >= 2,
+      message: 'A question needs at least two answers'
+    }
+  },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// Weights must name values products can actually have
+quizQuestionSchema.pre('validate', function (next) {
+  for (const answer of this.answers) {
+    for (const { attribute, value } of answer.weights) {
+      if (attribute === 'maxPrice') {
+        if (!(Number(value) > 0)) this.invalidate('answers', `maxPrice must be a positive number (answer "${answer.label}")`);
+        continue;
+      }
+      const path = ENUM_PATHS[attribute] && Product.schema.path(ENUM_PATHS[attribute]);
+      const allowed = path && (path.enumValues || path.caster?.enumValues);
+      if (allowed?.length && !allowed.includes(value)) {
+        this.invalidate('answers', `"${value}" is not a valid ${attribute} (answer "${answer.label}")`);
+      }
+    }
+  }
+  next();
+});
+
+quizQuestionSchema.index({ isActive: 1, position: 1 });
+
+module.exports = mongoose.model('QuizQuestion', quizQuestionSchema);
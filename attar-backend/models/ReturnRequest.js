@@ -0,0 +1,68 @@
+// ================================================
+// models/ReturnRequest.js — Return / RMA Schema
+// ================================================
+
+const mongoose = require('mongoose');
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },  // Order.items._id
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    size: String,
+    quantity: { type: Number, required: true, min: 1 },
+    reason: {
+      type: String,
+      enum: ['damaged', 'wrong_item', 'not_as_described', 'allergic_reaction', 'changed_mind', 'other'],
+      required: true
+    }
+  }],
+  comment: {
+    type: String,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'refunded'],
+    default: 'requested'
+  },
+  refund: {
+    amount: Number,
+    stripeRefundId: String,
+    refundedAt: Date
+  },
+  restocked: { type: Boolean, default: false },
+  history: [{
+    status: String,
+    message: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    timestamp: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// Auto-generate RMA number
+returnRequestSchema.pre('save', function (next) {
+  if (!this.rmaNumber) {
+    this.rmaNumber = `RMA-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
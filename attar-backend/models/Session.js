@@ -0,0 +1,112 @@
+// ================================================
+// models/Session.js — Login session / refresh token
+// One document per signed-in device. The refresh token rotates on every
+// use; only its hash is stored.
+// ================================================
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: { type: String, required: true, index: true },
+  previousTokenHash: { type: String, index: true },   // last rotated-out token, for reuse detection
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Expired sessions clean themselves up
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// "Chrome on Windows" style label from a user-agent string
+const describeDevice = (ua = '') => {
+  const browser = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'], [/Safari\//, 'Safari'], [/PostmanRuntime/, 'Postman'], [/curl\//, 'curl']
+  ].find(([re]) => re.test(ua));
+  const os = [
+    [/Windows/, 'Windows'], [/iPhone|iPad/, 'iOS'], [/Android/, 'Android'],
+    [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']
+  ].find(([re]) => re.test(ua));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[1], os?.[1]].filter(Boolean).join(' on ');
+};
+
+sessionSchema.statics.hashToken = hashToken;
+
+// Start a session for a login; returns { session, refreshToken }
+sessionSchema.statics.start = async function (user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const userAgent = req.headers['user-agent'] || '';
+
+  const session = await this.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: newExpiry()
+  });
+
+  return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one. Presenting a token that was already
+// rotated out means it leaked — the whole session is revoked.
+sessionSchema.statics.rotate = async function (refreshToken, req) {
+  const hash = hashToken(refreshToken);
+
+  const session = await this.findOne({ tokenHash: hash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } });
+  if (!session) {
+    await this.updateOne(
+      { previousTokenHash: hash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'Refresh token reuse detected' } }
+    );
+    return null;
+  }
+
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: hash,
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: newExpiry()
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) return null; // lost a race with a concurrent refresh
+
+  return { session: rotated, refreshToken: nextToken };
+};
+
+// Revoke every live session of a user, optionally sparing one
+sessionSchema.statics.revokeAll = function (userId, reason, exceptId = null) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptId) query._id = { $ne: exceptId };
+  return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
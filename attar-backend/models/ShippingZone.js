@@ -0,0 +1,87 @@
+// ================================================
+// models/ShippingZone.js — Shipping Zone Schema
+// A zone matches addresses by country / state / zip prefix and
+// offers one rate per service level (standard, express, ...)
+// ================================================
+
+const mongoose = require('mongoose');
+
+const rateSchema = new mongoose.Schema({
+  service: {
+    type: String,
+    required: [true, 'Service level is required'],
+    lowercase: true,
+    trim: true                                   // e.g. "standard", "express"
+  },
+  name: String,                                  // shown to the customer
+  carrier: String,
+  method: {
+    type: String,
+    enum: ['flat', 'weight', 'price'],
+    default: 'flat'
+  },
+  flatRate: { type: Number, min: 0, default: 0 },
+  // weight: first tier whose upTo (grams) covers the parcel; beyond the last tier, the last rate
+  weightTiers: [{
+    upTo: { type: Number, required: true, min: 0 },
+    rate: { type: Number, required: true, min: 0 }
+  }],
+  // price: highest tier whose minSubtotal the cart reaches
+  priceTiers: [{
+    minSubtotal: { type: Number, required: true, min: 0 },
+    rate: { type: Number, required: true, min: 0 }
+  }],
+  freeShippingThreshold: { type: Number, min: 0 }, // overrides the zone threshold
+  estimatedDays: {
+    min: Number,
+    max: Number
+  },
+  isActive: { type: Boolean, default: true }
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  // Upper-cased country codes or names as customers type them ("AE", "UAE").
+  // "*" makes a catch-all zone.
+  countries: {
+    type: [String],
+    set: list => [].concat(list).map(c => String(c).trim().toUpperCase())
+  },
+  states: {
+    type: [String],
+    set: list => [].concat(list).map(s => String(s).trim().toUpperCase())
+  },
+  zipPrefixes: {
+    type: [String],
+    set: list => [].concat(list).map(z => String(z).replace(/\s+/g, '').toUpperCase())
+  },
+  freeShippingThreshold: { type: Number, min: 0 },
+  rates: [rateSchema],
+  priority: { type: Number, default: 0 },        // tie-breaker between equally specific zones
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// How specifically this zone matches an address — 0 means no match
+shippingZoneSchema.methods.matchScore = function (address = {}) {
+  const country = String(address.country || '').trim().toUpperCase();
+  const state = String(address.state || '').trim().toUpperCase();
+  const zip = String(address.zipCode || '').replace(/\s+/g, '').toUpperCase();
+
+  const catchAll = this.countries.includes('*');
+  if (!catchAll && !this.countries.includes(country)) return 0;
+  if (this.states.length && !this.states.includes(state)) return 0;
+  if (this.zipPrefixes.length && !this.zipPrefixes.some(p => zip.startsWith(p))) return 0;
+
+  let score = catchAll ? 1 : 2;
+  if (this.states.length) score += 1;
+  if (this.zipPrefixes.length) score += 2;
+  return score;
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,38 @@
+// ================================================
+// models/StockMovement.js — Stock ledger
+// One document per stock change on a SKU. quantity is signed (+ in, - out),
+// so the sum of a SKU's movements should equal its current stock.
+// ================================================
+
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'initial',      // stock a size was created with (or an opening balance)
+  'sale',         // reserved by an order
+  'cancel',       // released by a cancelled order
+  'return',       // restocked from an approved return
+  'adjustment',   // manual correction by an admin
+  'stocktake'     // set to a physical count
+];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  sku: { type: String, required: true, uppercase: true },
+  size: String,
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  quantity: { type: Number, required: true },     // signed change
+  stockAfter: Number,                              // stock right after this change
+  reason: String,
+  actor: { type: String, enum: ['customer', 'admin', 'webhook', 'system'], default: 'system' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ sku: 1, createdAt: -1 });
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 }, { sparse: true });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -5,6 +5,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -54,11 +55,28 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Latest scent finder result (services/quiz.js)
+  scentProfile: {
+    answers: [{
+      _id: false,
+      question: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizQuestion' },
+      answers: [mongoose.Schema.Types.ObjectId]
+    }],
+    preferences: [{ _id: false, attribute: String, value: String, weight: Number }],
+    products: [{
+      _id: false,
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      match: Number
+    }],
+    takenAt: Date
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
   emailVerifyToken: String,
+  emailVerifyExpire: Date,
+  emailVerifySentAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   lastLogin: Date,
@@ -83,20 +101,30 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function () {
+// Generate short-lived JWT access token, bound to a login session
+userSchema.methods.generateAuthToken = function (sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET || 'fallback_secret',
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+// Issue an email verification token — the hash is stored, the raw token is emailed
+userSchema.methods.createEmailVerifyToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerifyToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerifyExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerifySentAt = Date.now();
+  return token;
+};
+
 // Remove sensitive fields from JSON output
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
   delete obj.emailVerifyToken;
+  delete obj.emailVerifyExpire;
   delete obj.resetPasswordToken;
   delete obj.resetPasswordExpire;
   return obj;
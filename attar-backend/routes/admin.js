@@ -3,14 +3,50 @@
 // GET /api/admin/dashboard  — Stats overview
 // GET /api/admin/users      — All users
 // PUT /api/admin/users/:id  — Update user
+// GET    /api/admin/coupons      — All coupons
+// POST   /api/admin/coupons      — Create coupon
+// GET    /api/admin/coupons/:id  — Single coupon
+// PUT    /api/admin/coupons/:id  — Update coupon
+// DELETE /api/admin/coupons/:id  — Delete coupon
+// GET    /api/admin/shipping-zones      — All shipping zones
+// POST   /api/admin/shipping-zones      — Create zone
+// PUT    /api/admin/shipping-zones/:id  — Update zone
+// DELETE /api/admin/shipping-zones/:id  — Delete zone
+// GET    /api/admin/quiz/questions      — Scent finder questions (with weights)
+// POST   /api/admin/quiz/questions      — Create question
+// PUT    /api/admin/quiz/questions/:id  — Update question
+// DELETE /api/admin/quiz/questions/:id  — Delete question
+// GET    /api/admin/payment-events             — Webhook event log
+// GET    /api/admin/payment-events/:id         — Single event (with payload)
+// POST   /api/admin/payment-events/:id/replay  — Re-run an event's handler
+// GET    /api/admin/inventory              — Low / out of stock SKUs
+// GET    /api/admin/inventory/reorder      — Reorder suggestions (?format=csv)
+// POST   /api/admin/inventory/check        — Run the low-stock alert check now
+// PUT    /api/admin/inventory/:sku         — Reorder point, supplier, lead time
+// GET    /api/admin/stock/movements    — Stock ledger (filter by sku, type, order)
+// GET    /api/admin/stock/reconcile    — Compare stock with the ledger
+// POST   /api/admin/stock/reconcile    — Book the differences as adjustments
+// POST   /api/admin/stock/adjust       — Add / remove units of a SKU
+// POST   /api/admin/stock/stocktake    — Set SKUs to counted quantities
+// GET    /api/admin/stock/:sku         — Current stock + history of a SKU
 // ================================================
 
 const express = require('express');
 const router = express.Router();
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Review = require('../models/Review');
+const Coupon = require('../models/Coupon');
+const ShippingZone = require('../models/ShippingZone');
+const QuizQuestion = require('../models/QuizQuestion');
+const Session = require('../models/Session');
+const PaymentEvent = require('../models/PaymentEvent');
+const StockMovement = require('../models/StockMovement');
+const { processPaymentEvent } = require('../services/paymentEvents');
+const { adjustStock, countStock, reconcileStock } = require('../services/inventory');
+const { buildReorderReport, toCsv, runReorderCheck } = require('../services/reorder');
 const { protect, adminOnly } = require('../middleware/auth');
 
 // All admin routes require login + admin role
@@ -107,6 +143,10 @@ router.put('/users/:id', async (req, res) => {
     ).select('-password');
 
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    // Deactivated accounts lose every session immediately
+    if (String(isActive) === 'false') await Session.revokeAll(user._id, 'Account deactivated');
+
     res.json({ success: true, user });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -114,21 +154,88 @@ router.put('/users/:id', async (req, res) => {
 });
 
 // ─── Inventory Overview ───────────────────────────
+// Low stock uses each SKU's reorder point and projected stockout; see
+// services/reorder.js
 router.get('/inventory', async (req, res) => {
   try {
-    const products = await Product.find({ isActive: true }).select('name sizes category badge');
+    const report = await buildReorderReport();
+    const entry = (r) => ({
+      product: r.name, sku: r.sku, size: r.size, stock: r.stock, category: r.category,
+      reorderPoint: r.reorderPoint, daysToStockout: r.daysToStockout
+    });
 
-    const lowStock = [];
-    const outOfStock = [];
+    const lowStock = report.filter(r => r.status !== 'ok' && r.stock > 0).map(entry);
+    const outOfStock = report.filter(r => r.stock === 0).map(entry);
+    const totalProducts = new Set(report.map(r => r.product.toString())).size;
 
-    products.forEach(p => {
-      p.sizes.forEach(s => {
-        if (s.stock === 0) outOfStock.push({ product: p.name, size: s.volume, category: p.category });
-        else if (s.stock < 5) lowStock.push({ product: p.name, size: s.volume, stock: s.stock, category: p.category });
-      });
-    });
+    res.json({ success: true, lowStock, outOfStock, totalProducts });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Reorder Suggestions ──────────────────────────
+// ?format=csv downloads the list; ?all=true includes SKUs that are fine
+router.get('/inventory/reorder', async (req, res) => {
+  try {
+    const report = await buildReorderReport();
+    const rows = req.query.all === 'true' ? report : report.filter(r => r.status !== 'ok');
+
+    if (req.query.format === 'csv') {
+      return res.type('text/csv')
+        .set('Content-Disposition', `attachment; filename="reorder-${new Date().toISOString().slice(0, 10)}.csv"`)
+        .send(toCsv(rows));
+    }
+    res.json({ success: true, items: rows, total: rows.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Run the low-stock check now instead of waiting for the scheduled job
+router.post('/inventory/check', async (req, res) => {
+  try {
+    const alerted = await runReorderCheck();
+    res.json({ success: true, alerted });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Body: { reorderPoint?, supplier?, leadTimeDays? } — null clears a value
+// back to the default
+router.put('/inventory/:sku', [
+  body('reorderPoint').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder point must be 0 or more'),
+  body('leadTimeDays').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Lead time must be 0 or more days'),
+  body('supplier').optional({ nullable: true }).isString().trim()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const set = {};
+    const unset = {};
+    for (const field of ['reorderPoint', 'supplier', 'leadTimeDays']) {
+      if (!(field in req.body)) continue;
+      if (req.body[field] === null || req.body[field] === '') unset[`sizes.$.${field}`] = 1;
+      else set[`sizes.$.${field}`] = req.body[field];
+    }
+
+    if (!Object.keys(set).length && !Object.keys(unset).length) {
+      return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+
+    const sku = req.params.sku.toUpperCase();
+    const product = await Product.findOneAndUpdate(
+      { 'sizes.sku': sku },
+      { ...(Object.keys(set).length && { $set: set }), ...(Object.keys(unset).length && { $unset: unset }) },
+      { new: true, runValidators: true, projection: { name: 1, 'sizes.$': 1 } }
+    );
+    if (!product) return res.status(404).json({ success: false, message: `Unknown SKU: ${sku}` });
 
-    res.json({ success: true, lowStock, outOfStock, totalProducts: products.length });
+    res.json({ success: true, product: product.name, size: product.sizes[0] });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -171,4 +278,364 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+// ─── Coupons ──────────────────────────────────────
+router.get('/coupons', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active, search } = req.query;
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+    if (search) query.code = { $regex: search, $options: 'i' };
+
+    const coupons = await Coupon.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    const total = await Coupon.countDocuments(query);
+    res.json({ success: true, coupons, total, currentPage: Number(page) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/coupons', [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('type').isIn(['percentage', 'fixed', 'freeShipping']).withMessage('Invalid coupon type'),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { usedCount, ...data } = req.body;
+    const coupon = await Coupon.create(data);
+    res.status(201).json({ success: true, coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Coupon code already exists' });
+    }
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/coupons/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).populate('appliesTo.products', 'name slug');
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    res.json({ success: true, coupon });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.put('/coupons/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+
+    // usedCount is only ever moved by redemptions
+    const { usedCount, ...updates } = req.body;
+    coupon.set(updates);
+    await coupon.save();
+
+    res.json({ success: true, coupon });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.delete('/coupons/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    res.json({ success: true, message: 'Coupon deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Shipping Zones ───────────────────────────────
+router.get('/shipping-zones', async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort('-priority name');
+    res.json({ success: true, zones });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/shipping-zones', [
+  body('name').trim().notEmpty().withMessage('Zone name is required'),
+  body('countries').isArray({ min: 1 }).withMessage('At least one country (or "*") is required'),
+  body('rates').isArray({ min: 1 }).withMessage('At least one rate is required'),
+  body('rates.*.service').notEmpty().withMessage('Each rate needs a service level'),
+  body('rates.*.method').optional().isIn(['flat', 'weight', 'price']).withMessage('Invalid rate method')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const zone = await ShippingZone.create(req.body);
+    res.status(201).json({ success: true, zone });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.put('/shipping-zones/:id', async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ success: false, message: 'Shipping zone not found' });
+
+    zone.set(req.body);
+    await zone.save();
+
+    res.json({ success: true, zone });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.delete('/shipping-zones/:id', async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) return res.status(404).json({ success: false, message: 'Shipping zone not found' });
+    res.json({ success: true, message: 'Shipping zone deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Scent Finder Quiz ────────────────────────────
+// Answers weigh product attributes, see models/QuizQuestion.js
+router.get('/quiz/questions', async (req, res) => {
+  try {
+    const questions = await QuizQuestion.find().sort('position createdAt');
+    res.json({ success: true, questions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/quiz/questions', [
+  body('question').trim().notEmpty().withMessage('Question is required'),
+  body('answers').isArray({ min: 2 }).withMessage('At least two answers are required'),
+  body('answers.*.label').trim().notEmpty().withMessage('Each answer needs a label'),
+  body('answers.*.weights').optional().isArray().withMessage('Answer weights must be a list'),
+  body('answers.*.weights.*.weight').optional().isFloat({ min: -5, max: 5 }).withMessage('Weights range from -5 to 5')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const question = await QuizQuestion.create(req.body);
+    res.status(201).json({ success: true, question });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.put('/quiz/questions/:id', async (req, res) => {
+  try {
+    const question = await QuizQuestion.findById(req.params.id);
+    if (!question) return res.status(404).json({ success: false, message: 'Quiz question not found' });
+
+    question.set(req.body);
+    await question.save();
+
+    res.json({ success: true, question });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+router.delete('/quiz/questions/:id', async (req, res) => {
+  try {
+    const question = await QuizQuestion.findByIdAndDelete(req.params.id);
+    if (!question) return res.status(404).json({ success: false, message: 'Quiz question not found' });
+    res.json({ success: true, message: 'Quiz question deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Payment Events ───────────────────────────────
+router.get('/payment-events', async (req, res) => {
+  try {
+    const { status, type, order, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (order) query.order = order;
+
+    const events = await PaymentEvent.find(query)
+      .select('-payload')
+      .populate('order', 'orderNumber')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    const total = await PaymentEvent.countDocuments(query);
+    res.json({ success: true, events, total, currentPage: Number(page) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/payment-events/:id', async (req, res) => {
+  try {
+    const event = await PaymentEvent.findById(req.params.id).populate('order', 'orderNumber status payment.status');
+    if (!event) return res.status(404).json({ success: false, message: 'Payment event not found' });
+    res.json({ success: true, event });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Handlers skip work that is already done, so replaying a processed event is safe
+router.post('/payment-events/:id/replay', async (req, res) => {
+  try {
+    const event = await PaymentEvent.findById(req.params.id);
+    if (!event) return res.status(404).json({ success: false, message: 'Payment event not found' });
+    if (event.status === 'processing' && !event.isStuck()) {
+      return res.status(409).json({ success: false, message: 'Event is being processed right now' });
+    }
+
+    const replayed = await processPaymentEvent(event);
+    res.json({ success: true, event: replayed });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Stock Ledger ─────────────────────────────────
+router.get('/stock/movements', async (req, res) => {
+  try {
+    const { sku, type, order, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (sku) query.sku = String(sku).toUpperCase();
+    if (type) query.type = type;
+    if (order) query.order = order;
+
+    const movements = await StockMovement.find(query)
+      .populate('order', 'orderNumber')
+      .populate('user', 'name email')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    const total = await StockMovement.countDocuments(query);
+    res.json({ success: true, movements, total, currentPage: Number(page) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Only SKUs whose stock differs from the sum of their movements are listed
+router.get('/stock/reconcile', async (req, res) => {
+  try {
+    const report = await reconcileStock();
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// The product's stock is taken as correct — run a stock-take first if the
+// shelves may disagree with both
+router.post('/stock/reconcile', async (req, res) => {
+  try {
+    const report = await reconcileStock({ apply: true, user: req.user._id });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/stock/adjust', [
+  body('sku').trim().notEmpty().withMessage('SKU is required'),
+  body('quantity').isInt().withMessage('Quantity must be a whole number (negative to remove)'),
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const movement = await adjustStock(req.body.sku, req.body.quantity, { reason: req.body.reason, user: req.user._id });
+    res.status(201).json({ success: true, movement });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Body: { counts: [{ sku, counted }], reason? } — each SKU is applied on its
+// own; failures are reported per line
+router.post('/stock/stocktake', [
+  body('counts').isArray({ min: 1 }).withMessage('counts must list at least one SKU'),
+  body('counts.*.sku').trim().notEmpty().withMessage('Each count needs a SKU'),
+  body('counts.*.counted').isInt({ min: 0 }).withMessage('Counted stock must be 0 or more')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const results = [];
+    for (const { sku, counted } of req.body.counts) {
+      try {
+        const movement = await countStock(sku, counted, { reason: req.body.reason, user: req.user._id });
+        results.push({ sku: movement.sku, counted: movement.stockAfter, difference: movement.quantity });
+      } catch (err) {
+        results.push({ sku, error: err.message });
+      }
+    }
+    res.json({ success: true, results });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/stock/:sku', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const sku = req.params.sku.toUpperCase();
+
+    const product = await Product.findOne({ 'sizes.sku': sku }).select('name slug sizes');
+    if (!product) return res.status(404).json({ success: false, message: `Unknown SKU: ${sku}` });
+    const size = product.sizes.find(s => s.sku === sku);
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find({ sku })
+        .populate('order', 'orderNumber')
+        .populate('user', 'name email')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      StockMovement.countDocuments({ sku })
+    ]);
+
+    res.json({
+      success: true,
+      sku,
+      product: { _id: product._id, name: product.name, slug: product.slug },
+      size: size.volume,
+      stock: size.stock,
+      movements,
+      total,
+      currentPage: Number(page)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 module.exports = router;
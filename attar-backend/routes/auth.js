@@ -3,9 +3,15 @@
 // POST /api/auth/register
 // POST /api/auth/login
 // GET  /api/auth/me
+// POST /api/auth/refresh
 // POST /api/auth/logout
+// POST /api/auth/logout-all
+// GET  /api/auth/sessions
+// DELETE /api/auth/sessions/:id
 // POST /api/auth/forgot-password
 // PUT  /api/auth/reset-password/:token
+// GET  /api/auth/verify-email/:token
+// POST /api/auth/resend-verification
 // ================================================
 
 const express = require('express');
@@ -13,24 +19,49 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Session = require('../models/Session');
 const { protect } = require('../middleware/auth');
+const { sendEmail } = require('../services/mail');
 
 // ─── Helpers ──────────────────────────────────────
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = user.generateAuthToken();
+// Starts a new session (device) and returns an access + refresh token pair
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await Session.start(user, req);
+  const token = user.generateAuthToken(session._id);
   res.status(statusCode).json({
     success: true,
     token,
+    refreshToken,
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
-      avatar: user.avatar
+      avatar: user.avatar,
+      isEmailVerified: user.isEmailVerified
     }
   });
 };
 
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Minimum gap between verification emails
+const VERIFY_RESEND_SECONDS = Number(process.env.EMAIL_VERIFY_RESEND_SECONDS) || 60;
+
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerifyToken();
+  await user.save({ validateBeforeSave: false });
+  await sendEmail('verifyEmail', user.email, { user, url: `${CLIENT_URL}/verify-email/${token}` });
+};
+
+// Fold the guest cart (X-Cart-Token) into the user's cart
+const mergeGuestCart = async (req, user) => {
+  const token = req.headers['x-cart-token'] || req.body.cartToken;
+  if (token) await Cart.mergeGuestCart(token, user._id);
+};
+
 // ─── Register ─────────────────────────────────────
 router.post('/register', [
   body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 50 }),
@@ -51,7 +82,9 @@ router.post('/register', [
     }
 
     const user = await User.create({ name, email, password, phone });
-    sendTokenResponse(user, 201, res);
+    await sendVerificationEmail(user);
+    await mergeGuestCart(req, user);
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -88,7 +121,9 @@ router.post('/login', [
     user.lastLogin = new Date();
     await user.save({ validateBeforeSave: false });
 
-    sendTokenResponse(user, 200, res);
+    await mergeGuestCart(req, user);
+    if (user.isEmailVerified) await Order.claimGuestOrders(user);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -104,6 +139,104 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// ─── Refresh Access Token ─────────────────────────
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const rotated = await Session.rotate(req.body.refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token, please login again' });
+    }
+
+    const user = await User.findById(rotated.session.user);
+    if (!user || !user.isActive) {
+      await Session.revokeAll(rotated.session.user, 'Account unavailable');
+      return res.status(401).json({ success: false, message: 'Account has been deactivated' });
+    }
+
+    res.json({
+      success: true,
+      token: user.generateAuthToken(rotated.session._id),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Logout (this device) ─────────────────────────
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'Logged out' } }
+    );
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Logout Everywhere ────────────────────────────
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAll(req.user._id, 'Logged out everywhere');
+    res.json({ success: true, message: 'Logged out of all devices', sessionsRevoked: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Active Sessions ──────────────────────────────
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ip lastUsedAt createdAt')
+      .sort('-lastUsedAt');
+
+    res.json({
+      success: true,
+      sessions: sessions.map(s => ({
+        id: s._id,
+        device: s.device,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: s._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Revoke a Session ─────────────────────────────
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'Revoked by user' } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ─── Update Profile ───────────────────────────────
 router.put('/update-profile', protect, [
   body('name').optional().trim().isLength({ max: 50 }),
@@ -139,6 +272,9 @@ router.put('/change-password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays logged in
+    await Session.revokeAll(user._id, 'Password changed', req.sessionId);
+
     res.json({ success: true, message: 'Password updated successfully' });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -161,15 +297,13 @@ router.post('/forgot-password', async (req, res) => {
     user.resetPasswordExpire = Date.now() + 15 * 60 * 1000; // 15 minutes
     await user.save({ validateBeforeSave: false });
 
-    // In production: send email with resetToken
-    // await sendEmail({ ... })
-
-    res.json({
-      success: true,
-      message: 'Password reset link sent to your email.',
-      // Remove in production:
-      resetToken: process.env.NODE_ENV === 'development' ? resetToken : undefined
+    await sendEmail('passwordReset', user.email, {
+      user,
+      url: `${CLIENT_URL}/reset-password/${resetToken}`,
+      expiresInMinutes: 15
     });
+
+    res.json({ success: true, message: 'If that email exists, a reset link has been sent.' });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -195,7 +329,63 @@ router.put('/reset-password/:token', [
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    await Session.revokeAll(user._id, 'Password reset');
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Verify Email ─────────────────────────────────
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+    const user = await User.findOne({ emailVerifyToken: hashedToken });
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid verification link' });
+    }
+    if (user.emailVerifyExpire < Date.now()) {
+      return res.status(400).json({ success: false, code: 'TOKEN_EXPIRED', message: 'Verification link has expired, please request a new one' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifyToken = undefined;
+    user.emailVerifyExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // The address is proven now — earlier guest orders placed with it move to the account
+    const claimedOrders = await Order.claimGuestOrders(user);
+
+    res.json({ success: true, message: 'Email verified successfully', claimedOrders });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Resend Verification Email ────────────────────
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ success: false, message: 'Email is already verified' });
+    }
+
+    const waitMs = user.emailVerifySentAt
+      ? user.emailVerifySentAt.getTime() + VERIFY_RESEND_SECONDS * 1000 - Date.now()
+      : 0;
+    if (waitMs > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another email`,
+        retryAfter: Math.ceil(waitMs / 1000)
+      });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification email sent' });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -1,23 +1,210 @@
 // ================================================
-// routes/cart.js — Cart Routes (Session/DB based)
+// routes/cart.js — Cart Routes (DB based)
+// GET    /api/cart                 — Current cart (re-validated)
+// POST   /api/cart/items           — Add item
+// PUT    /api/cart/items/:itemId   — Change quantity
+// DELETE /api/cart/items/:itemId   — Remove item
+// DELETE /api/cart                 — Empty cart
+// POST   /api/cart/validate        — Price the cart or an ad-hoc item list
+// POST   /api/cart/shipping-options — Shipping quotes for an address
+// POST   /api/cart/coupon          — Check coupon
+//
+// Logged-in users get their own cart. Guests get a cart token back on the
+// first add and send it as the X-Cart-Token header; it merges into the
+// user's cart on login/register.
 // ================================================
 
 const express = require('express');
 const router = express.Router();
+const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
-const { protect } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const { quoteShipping, selectShipping } = require('../services/shipping');
+const { calculateTax, orderTotal } = require('../services/tax');
+const { optionalAuth } = require('../middleware/auth');
 
-// Cart stored in-memory for demo; in production use Redis or DB Cart model
+// ─── Helpers ──────────────────────────────────────
+// Shipping here is the default option for the address (catch-all zone when none is given)
+const calculatePricing = async (items, address) => {
+  const subtotal = Math.round(items.reduce((s, i) => s + i.price * i.quantity, 0) * 100) / 100;
+  const option = await selectShipping({ address, items });
+  const shipping = option ? option.cost : null;
+  const tax = calculateTax({ address, items, shipping: shipping || 0 });
+  return {
+    subtotal,
+    shipping,
+    tax: tax.total,
+    taxInclusive: tax.inclusive,
+    taxRegion: tax.region,
+    total: orderTotal({ subtotal, shipping: shipping || 0, discount: 0, tax })
+  };
+};
+
+// Find the caller's cart; with create=true a missing cart is started
+const findCart = async (req, create = false) => {
+  const token = req.headers['x-cart-token'];
+  let cart = null;
+
+  if (req.user) {
+    cart = await Cart.findOne({ user: req.user._id });
+    if (!cart && token) cart = await Cart.mergeGuestCart(token, req.user._id);
+    if (!cart && create) cart = new Cart({ user: req.user._id, items: [] });
+  } else {
+    if (token) cart = await Cart.findOne({ token, user: { $exists: false } });
+    if (!cart && create) cart = new Cart({ token: Cart.generateToken(), items: [] });
+  }
+
+  return cart;
+};
+
+const sendCart = async (cart, res, statusCode = 200) => {
+  if (!cart) {
+    return res.status(statusCode).json({ success: true, cartToken: null, items: [], warnings: [], pricing: await calculatePricing([]) });
+  }
+
+  const { items, warnings } = await cart.refresh();
+
+  res.status(statusCode).json({
+    success: true,
+    cartToken: cart.user ? null : cart.token,
+    items,
+    warnings,
+    pricing: await calculatePricing(items)
+  });
+};
+
+// ─── Get Cart ─────────────────────────────────────
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    await sendCart(await findCart(req), res);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Add Item ─────────────────────────────────────
+router.post('/items', optionalAuth, [
+  body('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('size').notEmpty().withMessage('Size is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { productId, size } = req.body;
+    const quantity = Number(req.body.quantity) || 1;
+
+    const product = await Product.findById(productId).select('name sizes isActive');
+    if (!product || !product.isActive) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const sizeObj = product.sizes.find(s => s.volume === size);
+    if (!sizeObj) {
+      return res.status(400).json({ success: false, message: `Size unavailable: ${size}` });
+    }
+
+    const cart = await findCart(req, true);
+    const line = cart.items.find(i => i.product.toString() === productId && i.size === size);
+    if ((line?.quantity || 0) + quantity > sizeObj.stock) {
+      return res.status(400).json({ success: false, message: `Only ${sizeObj.stock} of ${product.name} (${size}) in stock` });
+    }
+
+    cart.addItem(product._id, size, quantity);
+    await cart.save();
+
+    await sendCart(cart, res, 201);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Update Item Quantity ─────────────────────────
+router.put('/items/:itemId', optionalAuth, [
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const cart = await findCart(req);
+    const line = cart?.items.id(req.params.itemId);
+    if (!line) return res.status(404).json({ success: false, message: 'Cart item not found' });
+
+    // refresh() clamps to available stock and reports it in warnings
+    line.quantity = Number(req.body.quantity);
+    await cart.save();
+
+    await sendCart(cart, res);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Remove Item ──────────────────────────────────
+router.delete('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const line = cart?.items.id(req.params.itemId);
+    if (!line) return res.status(404).json({ success: false, message: 'Cart item not found' });
+
+    line.deleteOne();
+    await cart.save();
+
+    await sendCart(cart, res);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Clear Cart ───────────────────────────────────
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    await sendCart(cart, res);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+const toCouponLines = (items) => items.map(i => ({
+  product: i.productId,
+  category: i.category,
+  price: i.price,
+  quantity: i.quantity
+}));
+
+// Items come from the body ([{ productId, size, quantity }]) or, without
+// them, the caller's saved cart — guests included, as at checkout.
+// Guests may send their `email` so per-customer coupon limits apply.
+const cartLines = async (req) => {
+  if (Array.isArray(req.body.items) && req.body.items.length) return req.body.items;
+  const cart = await findCart(req);
+  return cart ? (await cart.refresh()).items : [];
+};
 
 // ─── Get Cart Summary (validate items + get prices) ─
-router.post('/validate', protect, async (req, res) => {
+router.post('/validate', optionalAuth, async (req, res) => {
   try {
-    const { items } = req.body; // [{ productId, size, quantity }]
+    const { couponCode, shippingAddress, shippingOption, email } = req.body;
+    const items = await cartLines(req);
+    if (!items.length) return res.status(400).json({ success: false, message: 'Your cart is empty' });
     const validatedItems = [];
     let subtotal = 0;
 
     for (const item of items) {
-      const product = await Product.findById(item.productId).select('name images sizes isActive');
+      const product = await Product.findById(item.productId).select('name images sizes category isActive');
 
       if (!product || !product.isActive) {
         return res.status(400).json({ success: false, message: `Product not found: ${item.productId}` });
@@ -31,9 +218,11 @@ router.post('/validate', protect, async (req, res) => {
       validatedItems.push({
         productId: product._id,
         name: product.name,
+        category: product.category,
         image: product.images[0]?.url || null,
         size: item.size,
         price: sizeObj.price,
+        weight: sizeObj.weight,
         stock: sizeObj.stock,
         quantity: Math.min(item.quantity, sizeObj.stock),
         subtotal: sizeObj.price * item.quantity
@@ -42,17 +231,46 @@ router.post('/validate', protect, async (req, res) => {
       subtotal += sizeObj.price * item.quantity;
     }
 
-    const shipping = subtotal >= 100 ? 0 : 9.99;
-    const tax = Math.round(subtotal * 0.05 * 100) / 100;
+    const shippingMethod = await selectShipping({ address: shippingAddress, items: validatedItems, option: shippingOption });
+    if (!shippingMethod && (shippingAddress || shippingOption)) {
+      return res.status(400).json({ success: false, message: 'Selected shipping option is not available for this address' });
+    }
+
+    let shipping = shippingMethod ? shippingMethod.cost : 0;
+    let discount = 0;
+    let coupon;
+
+    if (couponCode) {
+      const result = await Coupon.applyToCart(couponCode, {
+        user: req.user,
+        email: req.user ? undefined : email,
+        items: toCouponLines(validatedItems)
+      });
+      if (!result.valid) {
+        return res.status(400).json({ success: false, message: result.message });
+      }
+      discount = result.discount;
+      if (result.freeShipping) shipping = 0;
+      coupon = { code: result.coupon.code, type: result.coupon.type, description: result.coupon.description, discount };
+    }
+
+    const tax = calculateTax({ address: shippingAddress, items: validatedItems, shipping, discount });
+    tax.lines.forEach((line, i) => { validatedItems[i].tax = line.tax; });
 
     res.json({
       success: true,
       items: validatedItems,
+      coupon,
+      shippingMethod,
       pricing: {
         subtotal,
         shipping,
-        tax,
-        total: subtotal + shipping + tax
+        tax: tax.total,
+        shippingTax: tax.shippingTax,
+        taxInclusive: tax.inclusive,
+        taxRegion: tax.region,
+        discount,
+        total: orderTotal({ subtotal, shipping, discount, tax })
       }
     });
   } catch (error) {
@@ -60,23 +278,87 @@ router.post('/validate', protect, async (req, res) => {
   }
 });
 
-// ─── Check coupon ─────────────────────────────────
-router.post('/coupon', protect, async (req, res) => {
-  const coupons = {
-    'WELCOME10': { discount: 10, type: 'percentage', description: '10% off your first order' },
-    'ATTAR20':   { discount: 20, type: 'percentage', description: '20% discount' },
-    'FREESHIP':  { discount: 0, type: 'freeShipping', description: 'Free shipping' },
-    'ROYAL50':   { discount: 50, type: 'fixed', description: '$50 off orders over $200' }
-  };
+// ─── Shipping Options ─────────────────────────────
+// Body: { address: { country, state, zipCode }, items? } — without items the caller's cart is quoted
+router.post('/shipping-options', optionalAuth, [
+  body('address.country').notEmpty().withMessage('Country is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { address, items } = req.body;
+    let lines = [];
+
+    if (Array.isArray(items) && items.length) {
+      for (const item of items) {
+        const product = await Product.findById(item.productId).select('sizes isActive');
+        const sizeObj = product?.isActive && product.sizes.find(s => s.volume === item.size);
+        if (!sizeObj) {
+          return res.status(400).json({ success: false, message: `Product not found: ${item.productId}` });
+        }
+        lines.push({ price: sizeObj.price, weight: sizeObj.weight, quantity: Number(item.quantity) || 1 });
+      }
+    } else {
+      const cart = await findCart(req);
+      if (cart) lines = (await cart.refresh()).items;
+    }
 
-  const { code } = req.body;
-  const coupon = coupons[code?.toUpperCase()];
+    const options = await quoteShipping({ address, items: lines });
+    if (!options.length) {
+      return res.status(400).json({ success: false, message: 'We do not ship to this address yet' });
+    }
 
-  if (!coupon) {
-    return res.status(400).json({ success: false, message: 'Invalid coupon code' });
+    res.json({ success: true, options });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
   }
+});
+
+// ─── Check coupon ─────────────────────────────────
+// Body: { code, items?, email? } — the discount is computed against the items,
+// else the caller's saved cart; with neither only the code itself is checked
+router.post('/coupon', optionalAuth, async (req, res) => {
+  try {
+    const { code, email } = req.body;
+    const items = await cartLines(req);
+    let lines;
 
-  res.json({ success: true, coupon: { code: code.toUpperCase(), ...coupon } });
+    if (items.length) {
+      lines = [];
+      for (const item of items) {
+        const product = await Product.findById(item.productId).select('sizes category isActive');
+        const sizeObj = product?.isActive && product.sizes.find(s => s.volume === item.size);
+        if (!sizeObj) {
+          return res.status(400).json({ success: false, message: `Product not found: ${item.productId}` });
+        }
+        lines.push({ product: product._id, category: product.category, price: sizeObj.price, quantity: item.quantity });
+      }
+    }
+
+    const result = await Coupon.applyToCart(code, { user: req.user, email: req.user ? undefined : email, items: lines });
+    if (!result.valid) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
+
+    const { coupon } = result;
+    res.json({
+      success: true,
+      coupon: {
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+        description: coupon.description,
+        minSubtotal: coupon.minSubtotal,
+        discount: result.discount,
+        freeShipping: result.freeShipping
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 module.exports = router;
@@ -2,21 +2,49 @@
 // routes/orders.js — Order Routes
 // POST   /api/orders             — Place order
 // GET    /api/orders/my          — My orders
+// GET    /api/orders/track       — Public tracking (order number + email/zip, or signed token)
+// GET    /api/orders/packing-slips.pdf?ids= — Admin: Packing slips for selected orders
 // GET    /api/orders/:id         — Single order
+// GET    /api/orders/:id/invoice.pdf — Invoice (owner, guest with token, admin)
 // PUT    /api/orders/:id/cancel  — Cancel order
 // GET    /api/orders             — Admin: All orders
 // PUT    /api/orders/:id/status  — Admin: Update status
+//
+// :id is the order's id or its order number (ZA-2026-000123-3).
 // ================================================
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const { protect, adminOnly } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const User = require('../models/User');
+const { withTransaction } = require('../utils/transaction');
+const { reserveStock, reservationExpiry } = require('../services/inventory');
+const { transition, allowedTransitions } = require('../services/orderStateMachine');
+const { selectShipping } = require('../services/shipping');
+const { calculateTax, orderTotal } = require('../services/tax');
+const { sendEmail } = require('../services/mail');
+const { getProvider } = require('../services/payments');
+const { verifyTrackingToken, publicTracking } = require('../services/tracking');
+const { renderInvoice, renderPackingSlips } = require('../services/documents');
+const { protect, adminOnly, optionalAuth, requireVerifiedEmail, verificationRequired, orderAccessToken } = require('../middleware/auth');
+
+// Guest checkout is on unless GUEST_CHECKOUT=false
+const GUEST_CHECKOUT = process.env.GUEST_CHECKOUT !== 'false';
 
 // ─── Place Order ──────────────────────────────────
-router.post('/', protect, [
+// Logged in, or as a guest with { guest: { email, phone? } } — guests get an
+// order-access token back (shown once) for viewing and paying the order.
+router.post('/', optionalAuth, requireVerifiedEmail('orders'), [
+  body('guest.email').if((value, { req }) => !req.user)
+    .isEmail().normalizeEmail().withMessage('Valid email is required for guest checkout'),
+  body('guest.phone').if((value, { req }) => !req.user)
+    .optional().isMobilePhone('any').withMessage('Valid phone number required'),
   body('items').isArray({ min: 1 }).withMessage('Order must have at least one item'),
   body('shippingAddress.fullName').notEmpty().withMessage('Full name is required'),
   body('shippingAddress.street').notEmpty().withMessage('Street address is required'),
@@ -29,11 +57,30 @@ router.post('/', protect, [
   }
 
   try {
-    const { items, shippingAddress, payment, notes, isGift, giftMessage, coupon } = req.body;
+    const { items, shippingAddress, shippingOption, payment, notes, isGift, giftMessage, coupon } = req.body;
+
+    if (!req.user && !GUEST_CHECKOUT) {
+      return res.status(401).json({ success: false, message: 'Access denied. Please login.' });
+    }
+    const guest = req.user ? undefined : {
+      email: req.body.guest.email,
+      phone: req.body.guest.phone || shippingAddress.phone
+    };
+
+    // An unverified account can't skip the policy by checking out as a guest
+    if (guest && verificationRequired('orders') &&
+        await User.exists({ email: guest.email, isEmailVerified: { $ne: true } })) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'This email belongs to an account that is not verified yet. Please sign in and verify it first.'
+      });
+    }
 
     // Verify products and calculate pricing
     let subtotal = 0;
     const orderItems = [];
+    const parcel = [];
 
     for (const item of items) {
       const product = await Product.findById(item.product);
@@ -52,6 +99,7 @@ router.post('/', protect, [
 
       orderItems.push({
         product: product._id,
+        category: product.category,
         name: product.name,
         image: product.images[0]?.url || '',
         size: item.size,
@@ -59,50 +107,134 @@ router.post('/', protect, [
         quantity: item.quantity
       });
 
+      parcel.push({ price: sizeObj.price, weight: sizeObj.weight, quantity: item.quantity });
       subtotal += sizeObj.price * item.quantity;
     }
 
+    const shippingMethod = await selectShipping({ address: shippingAddress, items: parcel, option: shippingOption });
+    if (!shippingMethod) {
+      return res.status(400).json({ success: false, message: 'Selected shipping option is not available for this address' });
+    }
+
     // Calculate totals
-    const shipping = subtotal >= 100 ? 0 : 9.99;
-    const tax = Math.round(subtotal * 0.05 * 100) / 100;
+    let shipping = shippingMethod.cost;
     let discount = 0;
+    let appliedCoupon;
 
+    // Same engine as POST /api/cart/coupon, so the checkout total matches the cart
     if (coupon?.code) {
-      // Coupon logic — simple 10% for demo
-      discount = Math.round(subtotal * 0.10 * 100) / 100;
-    }
-
-    const total = Math.round((subtotal + shipping + tax - discount) * 100) / 100;
-
-    // Create order
-    const order = await Order.create({
-      user: req.user._id,
-      items: orderItems,
-      shippingAddress,
-      pricing: { subtotal, shipping, tax, discount, total },
-      coupon: coupon?.code ? { code: coupon.code, discount } : undefined,
-      payment: { method: payment?.method || 'stripe' },
-      notes,
-      isGift,
-      giftMessage,
-      statusHistory: [{ status: 'pending', message: 'Order placed successfully' }]
+      const result = await Coupon.applyToCart(coupon.code, { user: req.user, email: guest?.email, items: orderItems });
+      if (!result.valid) {
+        return res.status(400).json({ success: false, message: result.message });
+      }
+      discount = result.discount;
+      if (result.freeShipping) shipping = 0;
+      appliedCoupon = result.coupon;
+    }
+
+    // Tax after discounts; each line keeps its own rate and amount
+    const taxResult = calculateTax({ address: shippingAddress, items: orderItems, shipping, discount });
+    taxResult.lines.forEach((line, i) => {
+      orderItems[i].taxRate = line.rate;
+      orderItems[i].tax = line.tax;
+    });
+    const tax = taxResult.total;
+    const total = orderTotal({ subtotal, shipping, discount, tax: taxResult });
+    const paymentMethod = payment?.method || 'stripe';
+    const provider = getProvider(paymentMethod);
+    if (!provider.isAvailable()) {
+      return res.status(400).json({ success: false, message: `${provider.label} is not available` });
+    }
+    if (provider.checkEligibility) {
+      const verdict = await provider.checkEligibility({ user: req.user, email: guest?.email, address: shippingAddress, total });
+      if (!verdict.eligible) return res.status(400).json({ success: false, message: verdict.reason });
+    }
+
+    // Stock, coupon use and the order itself commit together or not at all.
+    // The id is fixed up front so the stock ledger can point at the order.
+    const orderId = new mongoose.Types.ObjectId();
+    const order = await withTransaction(async ({ session, onRollback }) => {
+      await reserveStock(orderItems, { session, onRollback, order: orderId, actor: 'customer', user: req.user?._id });
+
+      if (appliedCoupon) {
+        if (!(await Coupon.redeem(appliedCoupon._id, session))) {
+          const err = new Error('This coupon has reached its usage limit');
+          err.statusCode = 400;
+          throw err;
+        }
+        onRollback(() => Coupon.release(appliedCoupon.code));
+      }
+
+      const [created] = await Order.create([{
+        _id: orderId,
+        user: req.user?._id,
+        guest,
+        items: orderItems,
+        shippingAddress,
+        pricing: {
+          subtotal,
+          shipping,
+          tax,
+          shippingTax: taxResult.shippingTax,
+          taxInclusive: taxResult.inclusive,
+          taxRegion: taxResult.region,
+          discount,
+          total
+        },
+        shippingMethod: {
+          zone: shippingMethod.zone,
+          service: shippingMethod.service,
+          name: shippingMethod.name,
+          carrier: shippingMethod.carrier,
+          cost: shipping,
+          estimatedDays: shippingMethod.estimatedDays || undefined
+        },
+        coupon: appliedCoupon ? { code: appliedCoupon.code, type: appliedCoupon.type, discount } : undefined,
+        payment: { method: paymentMethod },
+        // Prepaid orders hold their stock only until the reservation expires
+        reservation: provider.holdMinutes ? { expiresAt: reservationExpiry(provider.holdMinutes) } : undefined,
+        notes,
+        isGift,
+        giftMessage,
+        statusHistory: [{ status: 'pending', message: 'Order placed successfully' }]
+      }], { session });
+
+      return created;
     });
 
-    // Reduce stock
-    for (const item of orderItems) {
-      await Product.updateOne(
-        { _id: item.product, 'sizes.volume': item.size },
-        { $inc: { 'sizes.$.stock': -item.quantity } }
-      );
+    // Ordered lines (product + size) leave the saved cart; anything else stays
+    const ordered = { $pull: { items: { $or: orderItems.map(i => ({ product: i.product, size: i.size })) } } };
+    if (req.user) {
+      await Cart.updateOne({ user: req.user._id }, ordered);
+    } else if (req.headers['x-cart-token']) {
+      await Cart.updateOne({ token: req.headers['x-cart-token'], user: { $exists: false } }, ordered);
+    }
+
+    // Guests get their order-access token once — only its hash is stored
+    let accessToken;
+    if (guest) {
+      accessToken = order.createAccessToken();
+      await order.save();
+    }
+
+    // COD and bank transfer have no client-side step — start them now
+    let paymentInfo;
+    if (provider.startOnCheckout) {
+      // The order stands even if this fails (e.g. SMS gateway down) — the customer can retry
+      paymentInfo = await provider.createPayment(order)
+        .catch(err => ({ error: err.message }));
+      await order.save();
     }
 
     const populated = await Order.findById(order._id)
       .populate('user', 'name email')
       .populate('items.product', 'name images');
 
-    res.status(201).json({ success: true, order: populated });
+    await sendEmail('orderPlaced', req.user?.email || guest.email, { order: populated, payment: paymentInfo, accessToken });
+
+    res.status(201).json({ success: true, order: populated, payment: paymentInfo, accessToken });
   } catch (error) {
-    res.status(400).json({ success: false, message: error.message });
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
   }
 });
 
@@ -126,18 +258,87 @@ router.get('/my', protect, async (req, res) => {
   }
 });
 
+// ─── Track Order (public) ─────────────────────────
+// ?token=<signed link token>, or ?orderNumber= plus &email= or &zip=
+// Mismatches all answer the same 404 so order numbers can't be probed.
+const trackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: { success: false, message: 'Too many tracking requests, please try again later.' }
+});
+
+router.get('/track', trackLimiter, async (req, res) => {
+  try {
+    const { token, orderNumber, email, zip } = req.query;
+    const notFound = () => res.status(404).json({ success: false, message: 'No order found with those details' });
+
+    let order;
+    if (token) {
+      const orderId = verifyTrackingToken(token);
+      if (!orderId) return res.status(401).json({ success: false, message: 'Tracking link is invalid or has expired' });
+      order = await Order.findById(orderId);
+    } else {
+      if (!orderNumber || (!email && !zip)) {
+        return res.status(400).json({ success: false, message: 'Order number and email or zip code are required' });
+      }
+
+      order = await Order.findByRef(orderNumber).populate('user', 'email');
+      if (order) {
+        const normalizeZip = (z) => String(z || '').replace(/\s+/g, '').toUpperCase();
+        const matches = email
+          ? String(email).trim().toLowerCase() === String(order.user?.email || order.guest?.email || '').toLowerCase()
+          : normalizeZip(zip) === normalizeZip(order.shippingAddress.zipCode);
+        if (!matches) order = null;
+      }
+    }
+
+    if (!order) return notFound();
+    res.json({ success: true, order: publicTracking(order) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── ADMIN: Packing Slips ─────────────────────────
+// ?ids=<id or order number>,... — one page per order, in the order given.
+// Gift orders print a gift slip without prices.
+const MAX_PACKING_SLIPS = 100;
+
+router.get('/packing-slips.pdf', protect, adminOnly, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (!ids.length) return res.status(400).json({ success: false, message: 'ids is required' });
+    if (ids.length > MAX_PACKING_SLIPS) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_PACKING_SLIPS} orders per batch` });
+    }
+    const orders = await Promise.all(ids.map(id => Order.findByRef(id)));
+    const missing = ids.filter((id, i) => !orders[i]);
+    if (missing.length) {
+      return res.status(404).json({ success: false, message: `Orders not found: ${missing.join(', ')}` });
+    }
+
+    const pdf = await renderPackingSlips(orders);
+    res.type('application/pdf')
+      .set('Content-Disposition', `inline; filename="packing-slips-${Date.now()}.pdf"`)
+      .send(pdf);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ─── Get Single Order ─────────────────────────────
-router.get('/:id', protect, async (req, res) => {
+// Owner, admin, or a guest with the order-access token
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id)
+    const order = await Order.findByRef(req.params.id)
+      .select('+guest.accessTokenHash')
       .populate('user', 'name email')
       .populate('items.product', 'name images slug');
 
     if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
 
-    // Only owner or admin can view
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Not authorized' });
+    if (!order.isAccessibleBy(req.user, orderAccessToken(req))) {
+      return res.status(req.user ? 403 : 401).json({ success: false, message: 'Not authorized' });
     }
 
     res.json({ success: true, order });
@@ -146,36 +347,53 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// ─── Cancel Order ─────────────────────────────────
-router.put('/:id/cancel', protect, async (req, res) => {
-  try {
-    const order = await Order.findById(req.params.id);
+// ─── Invoice PDF ──────────────────────────────────
+// Owner, admin, or a guest with the order-access token. The invoice number is
+// assigned the first time the invoice is requested and never changes.
+const INVOICEABLE = ['confirmed', 'processing', 'shipped', 'delivered', 'refunded'];
 
+router.get('/:id/invoice.pdf', optionalAuth, async (req, res) => {
+  try {
+    const order = await Order.findByRef(req.params.id).select('+guest.accessTokenHash');
     if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    if (order.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ success: false, message: 'Not authorized' });
-    }
 
-    const cancellableStatuses = ['pending', 'confirmed'];
-    if (!cancellableStatuses.includes(order.status)) {
-      return res.status(400).json({ success: false, message: `Order cannot be cancelled (status: ${order.status})` });
+    if (!order.isAccessibleBy(req.user, orderAccessToken(req))) {
+      return res.status(req.user ? 403 : 401).json({ success: false, message: 'Not authorized' });
+    }
+    if (!INVOICEABLE.includes(order.status) && order.payment.status !== 'paid') {
+      return res.status(400).json({ success: false, message: `No invoice for a ${order.status} order` });
     }
 
-    order.status = 'cancelled';
-    order.statusHistory.push({ status: 'cancelled', message: req.body.reason || 'Cancelled by customer' });
-    await order.save();
+    const number = await order.ensureInvoiceNumber();
+    const pdf = await renderInvoice(order, { email: await order.customerEmail() });
 
-    // Restore stock
-    for (const item of order.items) {
-      await Product.updateOne(
-        { _id: item.product, 'sizes.volume': item.size },
-        { $inc: { 'sizes.$.stock': item.quantity } }
-      );
+    res.type('application/pdf')
+      .set('Content-Disposition', `inline; filename="${number}.pdf"`)
+      .send(pdf);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Cancel Order ─────────────────────────────────
+router.put('/:id/cancel', optionalAuth, async (req, res) => {
+  try {
+    const order = await Order.findByRef(req.params.id).select('+guest.accessTokenHash');
+
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    // Customers only — admins cancel through the status endpoint
+    const isOwner = req.user
+      ? order.user?.toString() === req.user._id.toString()
+      : order.isAccessibleBy(null, orderAccessToken(req));
+    if (!isOwner) {
+      return res.status(req.user ? 403 : 401).json({ success: false, message: 'Not authorized' });
     }
 
+    await transition(order, 'cancelled', { actor: 'customer', message: req.body.reason || 'Cancelled by customer' });
+
     res.json({ success: true, message: 'Order cancelled successfully', order });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 });
 
@@ -185,6 +403,11 @@ router.get('/', protect, adminOnly, async (req, res) => {
     const { status, page = 1, limit = 20, search } = req.query;
     const query = {};
     if (status) query.status = status;
+    // Order number (full or partial, either format) or guest email
+    if (search) {
+      const pattern = { $regex: String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ orderNumber: pattern }, { legacyOrderNumber: pattern }, { 'guest.email': pattern }];
+    }
 
     const orders = await Order.find(query)
       .populate('user', 'name email')
@@ -200,27 +423,19 @@ router.get('/', protect, adminOnly, async (req, res) => {
 });
 
 // ─── ADMIN: Update Order Status ───────────────────
+// Only moves the state machine allows; see services/orderStateMachine.js
 router.put('/:id/status', protect, adminOnly, async (req, res) => {
   try {
-    const { status, message, tracking } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
+    const { status, message, tracking, collectedAmount } = req.body;
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status' });
-    }
-
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findByRef(req.params.id);
     if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
 
-    order.status = status;
-    order.statusHistory.push({ status, message: message || `Status updated to ${status}` });
-    if (tracking) order.tracking = tracking;
-    if (status === 'delivered') order.payment.paidAt = new Date();
+    await transition(order, status, { actor: 'admin', message, tracking, collectedAmount });
 
-    await order.save();
-    res.json({ success: true, order });
+    res.json({ success: true, order, nextStatuses: allowedTransitions(order.status, 'admin') });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 });
 
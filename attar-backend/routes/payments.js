@@ -1,127 +1,219 @@
 // ================================================
-// routes/payments.js — Stripe Payment Routes
-// POST /api/payments/create-intent
-// POST /api/payments/webhook
-// POST /api/payments/confirm/:orderId
+// routes/payments.js — Payment Routes
+// GET  /api/payments/methods                       — Available payment methods
+// POST /api/payments/create                        — Start payment for an order
+// POST /api/payments/create-intent                 — Start a Stripe payment
+// POST /api/payments/confirm/:orderId              — Confirm payment / COD order
+// POST /api/payments/webhook                       — Stripe webhook
+// POST /api/payments/confirm-cod/:orderId          — Confirm COD order
+// POST /api/payments/cod/:orderId/otp              — Resend COD confirmation code
+// PUT  /api/payments/cod/:orderId/refused          — Admin: COD delivery refused
+// PUT  /api/payments/bank-transfer/:orderId/received — Admin: Transfer arrived
+//
+// Provider specifics live in services/payments/.
 // ================================================
 
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const { protect } = require('../middleware/auth');
+const { protect, adminOnly, optionalAuth, orderAccessToken } = require('../middleware/auth');
+const { getProvider, availableMethods } = require('../services/payments');
+const { transition } = require('../services/orderStateMachine');
+const { sendEmail } = require('../services/mail');
+
+// ─── Helpers ──────────────────────────────────────
+// The caller's own order (or a guest's, with its order-access token),
+// still waiting for payment
+const findPayableOrder = async (req, orderId) => {
+  const order = await Order.findByRef(orderId).select('+guest.accessTokenHash');
+  if (!order) return { status: 404, message: 'Order not found' };
+
+  const isOwner = req.user
+    ? order.user?.toString() === req.user._id.toString()
+    : order.isAccessibleBy(null, orderAccessToken(req));
+  if (!isOwner) {
+    return { status: req.user ? 403 : 401, message: 'Not authorized' };
+  }
+  if (order.status !== 'pending' || order.payment.status === 'paid') {
+    return { status: 400, message: `Order cannot be paid (status: ${order.status})` };
+  }
+  return { order };
+};
+
+// Apply a provider's confirmPayment / markReceived outcome to the order
+const settle = async (order, outcome, actor) => {
+  if (outcome.paid) order.reservation.expiresAt = undefined;
 
-// Initialize Stripe (only if key exists)
-let stripe;
-if (process.env.STRIPE_SECRET_KEY) {
-  stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-}
+  if ((outcome.paid || outcome.confirm) && order.status === 'pending') {
+    await transition(order, 'confirmed', { actor: outcome.actor || actor, message: outcome.message });
+  } else {
+    await order.save();
+  }
+
+  if (outcome.paid) {
+    await sendEmail('paymentReceived', await order.customerEmail(), { order });
+  }
+};
+
+// ─── Payment Methods ──────────────────────────────
+router.get('/methods', (req, res) => {
+  res.json({ success: true, methods: availableMethods() });
+});
+
+// ─── Create Payment ───────────────────────────────
+// Returns what the client needs: a Stripe client secret, bank transfer
+// instructions, ... depending on the order's payment method
+router.post('/create', optionalAuth, async (req, res) => {
+  try {
+    const { order, status, message } = await findPayableOrder(req, req.body.orderId);
+    if (!order) return res.status(status).json({ success: false, message });
+
+    const provider = getProvider(order.payment.method);
+    const payment = await provider.createPayment(order);
+    await order.save();
+
+    res.json({ success: true, method: provider.method, ...payment });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
 
 // ─── Create Payment Intent ────────────────────────
-router.post('/create-intent', protect, async (req, res) => {
+// Kept for existing Stripe clients — same as /create for card orders
+router.post('/create-intent', optionalAuth, async (req, res) => {
   try {
-    if (!stripe) {
-      return res.status(503).json({ success: false, message: 'Payment service not configured. Add STRIPE_SECRET_KEY to .env' });
+    const { order, status, message } = await findPayableOrder(req, req.body.orderId);
+    if (!order) return res.status(status).json({ success: false, message });
+    if (order.payment.method !== 'stripe') {
+      return res.status(400).json({ success: false, message: 'Not a card order' });
     }
 
-    const { orderId } = req.body;
-    const order = await Order.findById(orderId);
+    const payment = await getProvider('stripe').createPayment(order);
+    await order.save();
 
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    if (order.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ success: false, message: 'Not authorized' });
-    }
+    res.json({ success: true, ...payment });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
 
-    // Create Stripe PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(order.pricing.total * 100), // in cents
-      currency: 'usd',
-      metadata: {
-        orderId: order._id.toString(),
-        orderNumber: order.orderNumber,
-        userId: req.user._id.toString()
-      }
-    });
+// ─── Confirm Payment ──────────────────────────────
+// Card: checks the PaymentIntent with Stripe. COD: confirms the order.
+// Test provider: body { outcome: 'fail' } simulates a decline.
+router.post('/confirm/:orderId', optionalAuth, async (req, res) => {
+  try {
+    const { order, status, message } = await findPayableOrder(req, req.params.orderId);
+    if (!order) return res.status(status).json({ success: false, message });
 
-    // Save client secret to order
-    order.payment.stripePaymentId = paymentIntent.id;
-    order.payment.stripeClientSecret = paymentIntent.client_secret;
-    await order.save();
+    const outcome = await getProvider(order.payment.method).confirmPayment(order, { ...req.body, actor: 'customer' });
+    await settle(order, outcome, 'customer');
 
-    res.json({
-      success: true,
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id,
-      amount: order.pricing.total
-    });
+    res.json({ success: true, paid: Boolean(outcome.paid), message: outcome.message, order });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 });
 
 // ─── Stripe Webhook ───────────────────────────────
-// Raw body needed for webhook signature verification
-router.post('/webhook',
-  express.raw({ type: 'application/json' }),
-  async (req, res) => {
-    if (!stripe || !process.env.STRIPE_WEBHOOK_SECRET) {
-      return res.status(200).json({ received: true });
-    }
+// server.js mounts express.raw() for this path ahead of express.json(),
+// so req.body is the untouched Buffer the signature was computed over.
+router.post('/webhook', async (req, res) => {
+  const { statusCode, body } = await getProvider('stripe').handleWebhook(req);
+  res.status(statusCode).json(body);
+});
 
-    const sig = req.headers['stripe-signature'];
-    let event;
+// ─── Confirm COD Payment ──────────────────────────
+// Owner (or guest with the order-access token) or admin, pending COD orders only. Customers send { otp } when
+// COD_REQUIRE_OTP is on; admins confirm by phone and skip it.
+router.post('/confirm-cod/:orderId', optionalAuth, async (req, res) => {
+  try {
+    const order = await Order.findByRef(req.params.orderId).select('+guest.accessTokenHash');
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
 
-    try {
-      event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    } catch (err) {
-      return res.status(400).json({ message: `Webhook error: ${err.message}` });
+    const isAdmin = req.user?.role === 'admin';
+    if (!order.isAccessibleBy(req.user, orderAccessToken(req))) {
+      return res.status(req.user ? 403 : 401).json({ success: false, message: 'Not authorized' });
     }
+    if (order.payment.method !== 'cod') {
+      return res.status(400).json({ success: false, message: 'Not a COD order' });
+    }
+    if (order.status !== 'pending') {
+      return res.status(409).json({ success: false, message: `Order is already ${order.status}` });
+    }
+
+    const actor = isAdmin ? 'admin' : 'customer';
+    const outcome = await getProvider('cod').confirmPayment(order, { otp: req.body.otp, actor });
+    await settle(order, outcome, actor);
+
+    res.json({ success: true, order });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
 
-    switch (event.type) {
-      case 'payment_intent.succeeded': {
-        const paymentIntent = event.data.object;
-        const order = await Order.findOne({ 'payment.stripePaymentId': paymentIntent.id });
-
-        if (order) {
-          order.payment.status = 'paid';
-          order.payment.paidAt = new Date();
-          order.status = 'confirmed';
-          order.statusHistory.push({ status: 'confirmed', message: 'Payment received successfully' });
-          await order.save();
-        }
-        break;
-      }
-      case 'payment_intent.payment_failed': {
-        const paymentIntent = event.data.object;
-        const order = await Order.findOne({ 'payment.stripePaymentId': paymentIntent.id });
-        if (order) {
-          order.payment.status = 'failed';
-          await order.save();
-        }
-        break;
-      }
+// ─── Resend COD Confirmation Code ─────────────────
+router.post('/cod/:orderId/otp', optionalAuth, async (req, res) => {
+  try {
+    const { order, status, message } = await findPayableOrder(req, req.params.orderId);
+    if (!order) return res.status(status).json({ success: false, message });
+    if (order.payment.method !== 'cod') {
+      return res.status(400).json({ success: false, message: 'Not a COD order' });
     }
 
-    res.json({ received: true });
+    await getProvider('cod').sendOtp(order);
+    await order.save();
+
+    res.json({ success: true, message: `Code sent to ${order.shippingAddress.phone}` });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
-);
+});
 
-// ─── Confirm COD Payment ──────────────────────────
-router.post('/confirm-cod/:orderId', protect, async (req, res) => {
+// ─── ADMIN: COD Delivery Refused ──────────────────
+// Records the refusal (it counts against the customer's COD eligibility)
+// and cancels the order, which restocks the returned parcel
+router.put('/cod/:orderId/refused', protect, adminOnly, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.orderId);
+    const order = await Order.findByRef(req.params.orderId);
     if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-
     if (order.payment.method !== 'cod') {
       return res.status(400).json({ success: false, message: 'Not a COD order' });
     }
+    if (order.status !== 'shipped') {
+      return res.status(409).json({ success: false, message: `Only shipped orders can be refused (status: ${order.status})` });
+    }
 
-    order.status = 'confirmed';
-    order.statusHistory.push({ status: 'confirmed', message: 'Cash on delivery order confirmed' });
-    await order.save();
+    getProvider('cod').markRefused(order, { reason: req.body.reason });
+    await transition(order, 'cancelled', {
+      actor: 'admin',
+      message: `Delivery refused${req.body.reason ? `: ${req.body.reason}` : ''}`
+    });
+
+    res.json({ success: true, order });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── ADMIN: Bank Transfer Received ────────────────
+// Body: { amount?, bankReference? } — amount defaults to the order total
+router.put('/bank-transfer/:orderId/received', protect, adminOnly, async (req, res) => {
+  try {
+    const order = await Order.findByRef(req.params.orderId);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    if (order.payment.method !== 'bank_transfer') {
+      return res.status(400).json({ success: false, message: 'Not a bank transfer order' });
+    }
+    if (order.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'Order was cancelled — refund the transfer instead' });
+    }
+
+    const outcome = getProvider('bank_transfer').markReceived(order, req.body);
+    await settle(order, outcome, 'admin');
 
     res.json({ success: true, order });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 });
 
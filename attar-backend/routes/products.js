@@ -1,11 +1,20 @@
 // ================================================
 // routes/products.js — Product Routes
 // GET    /api/products           — Get all (with filters)
+// GET    /api/products/search    — Faceted search with counts
+// GET    /api/products/suggest?q= — Autocomplete (names, notes, categories)
 // GET    /api/products/:id       — Get single
 // GET    /api/products/slug/:slug
+// GET    /api/products/:id/related — Similar scent profile + bought together
 // POST   /api/products           — Admin: Create
+// POST   /api/products/import    — Admin: Bulk upsert from CSV / JSON (?dryRun=true)
+// GET    /api/products/export    — Admin: Whole catalog as CSV / JSON
 // PUT    /api/products/:id       — Admin: Update
 // DELETE /api/products/:id       — Admin: Delete
+// POST   /api/products/:id/images                — Admin: Upload images
+// PUT    /api/products/:id/images/reorder        — Admin: Reorder images
+// PUT    /api/products/:id/images/:imageId       — Admin: Alt text / primary
+// DELETE /api/products/:id/images/:imageId       — Admin: Delete image
 // ================================================
 
 const express = require('express');
@@ -13,6 +22,21 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const { protect, adminOnly } = require('../middleware/auth');
+const { uploadImages, uploadImportFile } = require('../middleware/upload');
+const { saveProductImage, deleteImageFiles } = require('../services/images');
+const { recordInitialStock, recordProductEdit } = require('../services/inventory');
+const { searchProducts } = require('../services/productSearch');
+const { suggest, invalidateSuggestIndex } = require('../services/suggest');
+const { FIELDS: RECOMMENDATION_FIELDS, relatedProducts } = require('../services/recommendations');
+const { exportProducts, importProducts } = require('../services/catalog');
+
+// Duplicate key errors name the index, not the problem
+const saveErrorMessage = (error) => {
+  if (error.code === 11000 && error.keyPattern?.['sizes.sku']) {
+    return `SKU ${error.keyValue['sizes.sku']} is already used by another product`;
+  }
+  return error.message;
+};
 
 // ─── GET All Products (with filters, search, pagination) ─
 router.get('/', async (req, res) => {
@@ -65,6 +89,31 @@ router.get('/', async (req, res) => {
   }
 });
 
+// ─── Faceted Search ────────────────────────────────
+// ?search=, multi-select facets (?gender=Unisex,Feminine or repeated),
+// minPrice/maxPrice, inStock=true, sort (relevance by default when
+// searching), page, limit. Facet names: see services/productSearch.js.
+router.get('/search', async (req, res) => {
+  try {
+    const result = await searchProducts(req.query);
+    res.json({ success: true, count: result.products.length, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Autocomplete ──────────────────────────────────
+// Prefix, typo-tolerant and synonym-aware; answered from an in-memory index
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').slice(0, 100);
+    const suggestions = await suggest(q);
+    res.json({ success: true, query: q, ...suggestions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ─── GET Featured Products ─────────────────────────
 router.get('/featured', async (req, res) => {
   try {
@@ -75,6 +124,21 @@ router.get('/featured', async (req, res) => {
   }
 });
 
+// ─── EXPORT Catalog (Admin) ────────────────────────
+// ?format=csv for a spreadsheet, JSON otherwise; both import back as-is
+router.get('/export', protect, adminOnly, async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const data = await exportProducts(format);
+
+    res.set('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    if (format === 'csv') return res.type('text/csv').send(data);
+    res.json({ success: true, total: data.length, products: data });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ─── GET Product by Slug ───────────────────────────
 router.get('/slug/:slug', async (req, res) => {
   try {
@@ -106,16 +170,15 @@ router.get('/:id', async (req, res) => {
 });
 
 // ─── GET Related Products ──────────────────────────
+// Ranked by shared notes, gender, season, sillage, longevity, price band
+// and how often they are ordered together. ?limit= (default 4, max 12)
 router.get('/:id/related', async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).select(RECOMMENDATION_FIELDS).lean();
     if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
 
-    const related = await Product.find({
-      category: product.category,
-      _id: { $ne: product._id },
-      isActive: true
-    }).limit(4);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 4, 1), 12);
+    const related = await relatedProducts(product, { limit });
 
     res.json({ success: true, products: related });
   } catch (error) {
@@ -138,15 +201,39 @@ router.post('/', protect, adminOnly, [
 
   try {
     const product = await Product.create(req.body);
+    await recordInitialStock(product, { user: req.user._id });
+    invalidateSuggestIndex();
     res.status(201).json({ success: true, product });
   } catch (error) {
-    res.status(400).json({ success: false, message: error.message });
+    res.status(400).json({ success: false, message: saveErrorMessage(error) });
+  }
+});
+
+// ─── IMPORT Catalog (Admin) ────────────────────────
+// multipart "file" (.csv or .json), or a JSON body { products: [...] }.
+// Answers with a per-row report; ?dryRun=true only validates.
+router.post('/import', protect, adminOnly, uploadImportFile('file'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const format = req.file && /\.csv$/i.test(req.file.originalname) ? 'csv' : 'json';
+    const input = req.file ? req.file.buffer.toString('utf8') : req.body;
+
+    const report = await importProducts(input, { format, dryRun, user: req.user._id });
+    if (!dryRun && (report.created || report.updated)) invalidateSuggestIndex();
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 });
 
 // ─── UPDATE Product (Admin) ────────────────────────
+// Stock edited through sizes[] is booked in the ledger as an adjustment;
+// prefer POST /api/admin/stock/adjust, which can't overwrite a sale made
+// while the form was open.
 router.put('/:id', protect, adminOnly, async (req, res) => {
   try {
+    const before = await Product.findById(req.params.id).select('sizes');
     const product = await Product.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -156,9 +243,11 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
+    if (req.body.sizes) await recordProductEdit(before, product, { user: req.user._id });
+    invalidateSuggestIndex();
     res.json({ success: true, product });
   } catch (error) {
-    res.status(400).json({ success: false, message: error.message });
+    res.status(400).json({ success: false, message: saveErrorMessage(error) });
   }
 });
 
@@ -174,10 +263,113 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
+    invalidateSuggestIndex();
     res.json({ success: true, message: 'Product removed from store' });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// ─── UPLOAD Images (Admin) ─────────────────────────
+// multipart/form-data: images[] files, optional alt[] in the same order
+router.post('/:id/images', protect, adminOnly, uploadImages('images'), async (req, res) => {
+  const saved = [];
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No images uploaded' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const alts = [].concat(req.body.alt || []);
+    for (const [i, file] of req.files.entries()) {
+      const image = await saveProductImage(product._id, file.buffer);
+      saved.push(image);
+      product.images.push({ ...image, alt: alts[i] || product.name });
+    }
+
+    if (!product.images.some(img => img.isPrimary)) product.setPrimaryImage();
+    await product.save();
+
+    res.status(201).json({ success: true, images: product.images });
+  } catch (error) {
+    await Promise.all(saved.map(deleteImageFiles));
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── REORDER Images (Admin) ────────────────────────
+// Body: { order: [imageId, ...] } — the first image becomes primary
+router.put('/:id/images/reorder', protect, adminOnly, [
+  body('order').isArray({ min: 1 }).withMessage('order must be a list of image IDs')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const { order } = req.body;
+    const sameSet = order.length === product.images.length &&
+      product.images.every(img => order.includes(img._id.toString()));
+    if (!sameSet) {
+      return res.status(400).json({ success: false, message: 'order must list every image of the product exactly once' });
+    }
+
+    product.images = order.map(id => product.images.id(id));
+    product.setPrimaryImage(order[0]);
+    await product.save();
+
+    res.json({ success: true, images: product.images });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── UPDATE Image (Admin) ──────────────────────────
+router.put('/:id/images/:imageId', protect, adminOnly, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ success: false, message: 'Image not found' });
+
+    const { alt, isPrimary } = req.body;
+    if (alt !== undefined) image.alt = alt;
+    if (isPrimary === true || isPrimary === 'true') product.setPrimaryImage(image._id);
+
+    await product.save();
+    res.json({ success: true, images: product.images });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── DELETE Image (Admin) ──────────────────────────
+router.delete('/:id/images/:imageId', protect, adminOnly, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ success: false, message: 'Image not found' });
+
+    const wasPrimary = image.isPrimary;
+    image.deleteOne();
+    if (wasPrimary) product.setPrimaryImage();
+    await product.save();
+
+    await deleteImageFiles(image);
+
+    res.json({ success: true, images: product.images });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,80 @@
+// ================================================
+// routes/quiz.js — Scent Finder Routes
+// GET  /api/quiz               — Active questions + answers
+// POST /api/quiz/results       — Submit answers, get ranked products
+// GET  /api/quiz/results/me    — Private: latest saved result
+// Questions are managed under /api/admin/quiz/questions.
+// ================================================
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const QuizQuestion = require('../models/QuizQuestion');
+const User = require('../models/User');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { takeQuiz } = require('../services/quiz');
+
+// ─── Get Questions ────────────────────────────────
+// Weights stay server-side so answers can't be gamed
+router.get('/', async (req, res) => {
+  try {
+    const questions = await QuizQuestion.find({ isActive: true })
+      .select('question description multiple position answers._id answers.label answers.description')
+      .sort('position createdAt');
+    res.json({ success: true, questions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Submit Answers ───────────────────────────────
+// { answers: [{ question, answers: [answerId] }] }, optional ?limit= (max 24).
+// Logged-in customers get the result saved as their scent profile.
+router.post('/results', optionalAuth, [
+  body('answers').isArray({ min: 1 }).withMessage('Answer at least one question'),
+  body('answers.*.question').isMongoId().withMessage('Invalid question id')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 6, 1), 24);
+    const result = await takeQuiz(req.body.answers, { limit });
+
+    if (req.user) {
+      await User.updateOne({ _id: req.user._id }, {
+        scentProfile: {
+          answers: result.answers,
+          preferences: result.preferences,
+          products: result.products.map(p => ({ product: p._id, match: p.quiz.match })),
+          takenAt: new Date()
+        }
+      });
+    }
+
+    res.json({ success: true, saved: Boolean(req.user), preferences: result.preferences, products: result.products });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Saved Result ─────────────────────────────────
+router.get('/results/me', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('scentProfile')
+      .populate('scentProfile.products.product', 'name slug images sizes badge ratings isActive');
+
+    if (!user.scentProfile?.takenAt) {
+      return res.status(404).json({ success: false, message: 'You have not taken the scent finder yet' });
+    }
+
+    res.json({ success: true, scentProfile: user.scentProfile });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+// ================================================
+// routes/returns.js — Return (RMA) Routes
+// POST /api/returns               — Request a return
+// GET  /api/returns/my            — My returns
+// GET  /api/returns/:id           — Single return
+// GET  /api/returns               — Admin: All returns
+// PUT  /api/returns/:id/approve   — Admin: Approve + refund
+// PUT  /api/returns/:id/reject    — Admin: Reject
+// ================================================
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const { protect, adminOnly } = require('../middleware/auth');
+const { releaseStock } = require('../services/inventory');
+const { lineRefundAmount, refundableAmount, refundPayment } = require('../services/refunds');
+const { transition } = require('../services/orderStateMachine');
+
+// Days after delivery a return can be requested
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 14;
+
+// Units of each order line already in an open or completed return
+const returnedQuantities = async (orderId, excludeId = null) => {
+  const query = { order: orderId, status: { $ne: 'rejected' } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const returns = await ReturnRequest.find(query).select('items');
+  const totals = {};
+  returns.forEach(r => r.items.forEach(i => {
+    const key = i.orderItem.toString();
+    totals[key] = (totals[key] || 0) + i.quantity;
+  }));
+  return totals;
+};
+
+// ─── Request a Return ─────────────────────────────
+router.post('/', protect, [
+  body('orderId').isString().notEmpty().withMessage('Order ID or order number is required'),
+  body('items').isArray({ min: 1 }).withMessage('Select at least one item to return'),
+  body('items.*.itemId').isMongoId().withMessage('Each item needs an itemId'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.reason').notEmpty().withMessage('Each item needs a reason')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { orderId, items, comment } = req.body;
+    const order = await Order.findByRef(orderId);
+
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    if (order.user?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+    if (order.status !== 'delivered') {
+      return res.status(400).json({ success: false, message: `Only delivered orders can be returned (status: ${order.status})` });
+    }
+
+    const deliveredAt = [...order.statusHistory].reverse().find(h => h.status === 'delivered')?.timestamp || order.updatedAt;
+    if (Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ success: false, message: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery` });
+    }
+
+    const alreadyReturned = await returnedQuantities(order._id);
+    const returnItems = [];
+
+    for (const item of items) {
+      const line = order.items.id(item.itemId);
+      if (!line) {
+        return res.status(400).json({ success: false, message: `Item ${item.itemId} is not part of this order` });
+      }
+
+      const available = line.quantity - (alreadyReturned[line._id.toString()] || 0);
+      if (item.quantity > available) {
+        return res.status(400).json({ success: false, message: `Only ${available} of ${line.name} (${line.size}) can be returned` });
+      }
+
+      returnItems.push({
+        orderItem: line._id,
+        product: line.product,
+        name: line.name,
+        size: line.size,
+        quantity: item.quantity,
+        reason: item.reason
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      order: order._id,
+      user: req.user._id,
+      items: returnItems,
+      comment,
+      history: [{ status: 'requested', message: 'Return requested by customer', by: req.user._id }]
+    });
+
+    order.statusHistory.push({ status: order.status, message: `Return ${returnRequest.rmaNumber} requested` });
+    await order.save();
+
+    res.status(201).json({ success: true, returnRequest });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Get My Returns ───────────────────────────────
+router.get('/my', protect, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user._id })
+      .populate('order', 'orderNumber')
+      .sort('-createdAt');
+    res.json({ success: true, returns });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── ADMIN: Get All Returns ───────────────────────
+router.get('/', protect, adminOnly, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const returns = await ReturnRequest.find(query)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber pricing.total payment.method')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    const total = await ReturnRequest.countDocuments(query);
+    res.json({ success: true, returns, total, currentPage: Number(page) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── Get Single Return ────────────────────────────
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id).populate('order', 'orderNumber status');
+    if (!returnRequest) return res.status(404).json({ success: false, message: 'Return not found' });
+
+    if (returnRequest.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── ADMIN: Approve Return ────────────────────────
+// Body: { refundAmount?, restock = true, note? } — refundAmount defaults to
+// what was paid for the returned units
+router.put('/:id/approve', protect, adminOnly, [
+  body('refundAmount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be a positive number'),
+  body('restock').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const existing = await ReturnRequest.findById(req.params.id).select('order status');
+    if (!existing) return res.status(404).json({ success: false, message: 'Return not found' });
+    if (existing.status !== 'requested') {
+      return res.status(409).json({ success: false, message: `Return is already ${existing.status}` });
+    }
+
+    const order = await Order.findById(existing.order);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+    const restock = req.body.restock !== false && req.body.restock !== 'false';
+    const { note } = req.body;
+
+    // Claim the return before any money moves, so a second approval (or a
+    // retry after a failure below) can't refund it again
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: existing._id, status: 'requested' },
+      {
+        $set: { status: 'approved' },
+        $push: { history: { status: 'approved', message: note || 'Return approved', by: req.user._id } }
+      },
+      { new: true }
+    );
+    if (!returnRequest) {
+      return res.status(409).json({ success: false, message: 'Return is already being approved' });
+    }
+
+    const suggested = returnRequest.items.reduce((sum, i) => {
+      const line = order.items.id(i.orderItem);
+      return line ? sum + lineRefundAmount(order, line, i.quantity) : sum;
+    }, 0);
+    const hasPayment = ['paid', 'partially_refunded'].includes(order.payment.status);
+    const amount = hasPayment
+      ? Math.min(req.body.refundAmount !== undefined ? Number(req.body.refundAmount) : suggested, refundableAmount(order))
+      : 0;
+
+    order.statusHistory.push({ status: order.status, message: `Return ${returnRequest.rmaNumber} approved` });
+
+    if (amount > 0) {
+      const refund = await refundPayment(order, amount, { reason: `Return ${returnRequest.rmaNumber}` })
+        .catch(async (err) => {
+          // Hand the return back so the approval can be retried
+          await ReturnRequest.updateOne({ _id: returnRequest._id, status: 'approved' }, {
+            $set: { status: 'requested' },
+            $push: { history: { status: 'requested', message: `Refund failed: ${err.message}`, by: req.user._id } }
+          });
+          throw err;
+        });
+      returnRequest.status = 'refunded';
+      returnRequest.refund = { amount: refund.amount, stripeRefundId: refund.stripeRefundId, refundedAt: new Date() };
+      returnRequest.history.push({ status: 'refunded', message: `Refunded $${refund.amount.toFixed(2)}`, by: req.user._id });
+      await returnRequest.save();
+    }
+    // Keep the refund on the order even if restocking fails below
+    await order.save();
+
+    if (restock) {
+      await releaseStock(returnRequest.items.map(i => ({ product: i.product, size: i.size, quantity: i.quantity })), {
+        type: 'return',
+        order: order._id,
+        returnRequest: returnRequest._id,
+        actor: 'admin',
+        user: req.user._id,
+        reason: `Return ${returnRequest.rmaNumber}`
+      });
+      returnRequest.restocked = true;
+      returnRequest.history.push({ status: returnRequest.status, message: 'Returned items restocked', by: req.user._id });
+      order.statusHistory.push({ status: order.status, message: `Items from ${returnRequest.rmaNumber} restocked` });
+    }
+
+    await order.save();
+    await returnRequest.save();
+
+    // Fully refunded by returns — close the order out
+    if (order.payment.status === 'refunded' && order.status === 'delivered') {
+      await transition(order, 'refunded', { actor: 'system', message: `Fully refunded through ${returnRequest.rmaNumber}` });
+    }
+
+    res.json({ success: true, returnRequest, order });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
+// ─── ADMIN: Reject Return ─────────────────────────
+router.put('/:id/reject', protect, adminOnly, [
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) return res.status(404).json({ success: false, message: 'Return not found' });
+    if (returnRequest.status !== 'requested') {
+      return res.status(409).json({ success: false, message: `Return is already ${returnRequest.status}` });
+    }
+
+    returnRequest.status = 'rejected';
+    returnRequest.history.push({ status: 'rejected', message: req.body.reason, by: req.user._id });
+    await returnRequest.save();
+
+    const order = await Order.findById(returnRequest.order);
+    if (order) {
+      order.statusHistory.push({ status: order.status, message: `Return ${returnRequest.rmaNumber} rejected: ${req.body.reason}` });
+      await order.save();
+    }
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
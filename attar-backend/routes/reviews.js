@@ -12,7 +12,7 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Review = require('../models/Review');
 const Order = require('../models/Order');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, adminOnly, requireVerifiedEmail } = require('../middleware/auth');
 
 // ─── Get Reviews for a Product ────────────────────
 router.get('/product/:productId', async (req, res) => {
@@ -44,7 +44,7 @@ router.get('/product/:productId', async (req, res) => {
 });
 
 // ─── Create Review ────────────────────────────────
-router.post('/', protect, [
+router.post('/', protect, requireVerifiedEmail('reviews'), [
   body('product').notEmpty().withMessage('Product ID is required'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be 1-5'),
   body('title').trim().notEmpty().withMessage('Review title is required'),
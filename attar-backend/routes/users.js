@@ -7,12 +7,14 @@
 // POST   /api/users/addresses
 // PUT    /api/users/addresses/:id
 // DELETE /api/users/addresses/:id
+// GET    /api/users/recommendations — Based on orders + wishlist
 // ================================================
 
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
+const { userRecommendations } = require('../services/recommendations');
 
 // ─── Get Wishlist ─────────────────────────────────
 router.get('/wishlist', protect, async (req, res) => {
@@ -117,4 +119,18 @@ router.delete('/addresses/:addressId', protect, async (req, res) => {
   }
 });
 
+// ─── Personal Recommendations ─────────────────────
+// ?limit= (default 8, max 24). Best rated products until there is history.
+router.get('/recommendations', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('wishlist');
+    const limit = Math.min(Math.max(Number(req.query.limit) || 8, 1), 24);
+    const products = await userRecommendations(user, { limit });
+
+    res.json({ success: true, products });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 module.exports = router;
@@ -26,10 +26,12 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Stricter limit for auth routes
+// Stricter limit for auth routes. Token refresh is exempt: clients call it
+// every JWT_EXPIRE (15m) and it stays under the general /api limit.
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 10,
+  skip: (req) => req.path === '/refresh',
   message: { success: false, message: 'Too many login attempts, please try again later.' }
 });
 
@@ -38,9 +40,11 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token', 'X-Order-Token']
 }));
 
+// Stripe signs the raw request body — parse it as a Buffer before express.json() can
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'combined'));
@@ -48,9 +52,38 @@ app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'combined'));
 // Static files (product images)
 app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
 
+// ─── Background Jobs ──────────────────────────────
+const startJobs = () => {
+  const { releaseExpiredReservations } = require('./services/inventory');
+  const { processOutbox } = require('./services/mail');
+  const { runReorderCheck } = require('./services/reorder');
+
+  // Return stock held by unpaid card orders
+  setInterval(() => {
+    releaseExpiredReservations()
+      .then(n => n && console.log(`⏳ Released ${n} expired stock reservation(s)`))
+      .catch(err => console.error('🔴 Reservation job failed:', err.message));
+  }, 60 * 1000).unref();
+
+  // Deliver queued email and retry failures
+  setInterval(() => {
+    processOutbox().catch(err => console.error('🔴 Outbox job failed:', err.message));
+  }, 60 * 1000).unref();
+
+  // Low-stock alerts + reorder suggestions
+  setInterval(() => {
+    runReorderCheck()
+      .then(n => n && console.log(`📉 Low-stock alert sent for ${n} SKU(s)`))
+      .catch(err => console.error('🔴 Reorder check failed:', err.message));
+  }, (Number(process.env.REORDER_CHECK_MINUTES) || 60) * 60 * 1000).unref();
+};
+
 // ─── Database Connection ──────────────────────────
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zafar_attar')
-  .then(() => console.log('✅ MongoDB Connected'))
+  .then(() => {
+    console.log('✅ MongoDB Connected');
+    startJobs();
+  })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err.message);
     process.exit(1);
@@ -64,6 +97,8 @@ app.use('/api/cart',     require('./routes/cart'));
 app.use('/api/users',    require('./routes/users'));
 app.use('/api/reviews',  require('./routes/reviews'));
 app.use('/api/payments', require('./routes/payments'));
+app.use('/api/returns',  require('./routes/returns'));
+app.use('/api/quiz',     require('./routes/quiz'));
 app.use('/api/admin',    require('./routes/admin'));
 
 // ─── Health Check ─────────────────────────────────
@@ -0,0 +1,354 @@
+// ================================================
+// services/catalog.js — Bulk product import / export
+// CSV has one row per product, nested fields flattened into columns:
+//   notes.top, season, tags, ...   — lists joined with " | "
+//   sizes.0.sku, sizes.0.price ... — one group of columns per size
+//   images.0.url, images.0.alt ... — one group per image
+// JSON holds the same fields nested, as the API returns them. Exports
+// write exactly what imports read, so the catalog can be edited in a
+// spreadsheet and imported back.
+//
+// A row updates the product with its slug, or else the one owning any of
+// its SKUs; rows matching neither are created. Only the columns present
+// in the file are changed. Rows are handled IMPORT_CHUNK_SIZE (default
+// 200) at a time with one lookup per chunk. A dry run validates every row
+// and reports what would happen without saving.
+// ================================================
+
+const Product = require('../models/Product');
+const { recordInitialStock, recordProductEdit } = require('./inventory');
+const csv = require('../utils/csv');
+const httpError = require('../utils/httpError');
+
+const CHUNK_SIZE = Number(process.env.IMPORT_CHUNK_SIZE) || 200;
+const LIST_SEPARATOR = ' | ';
+
+// Column → type, in export order
+const FIELDS = {
+  slug: 'text',
+  name: 'text',
+  shortDescription: 'text',
+  description: 'text',
+  category: 'text',
+  origin: 'text',
+  concentration: 'text',
+  gender: 'text',
+  longevity: 'text',
+  sillage: 'text',
+  season: 'list',
+  'notes.top': 'list',
+  'notes.middle': 'list',
+  'notes.base': 'list',
+  tags: 'list',
+  ingredients: 'list',
+  distillationMethod: 'text',
+  agingPeriod: 'text',
+  badge: 'text',
+  'discount.percentage': 'number',
+  'discount.validUntil': 'date',
+  isFeatured: 'boolean',
+  isActive: 'boolean',
+  metaTitle: 'text',
+  metaDescription: 'text'
+};
+const SIZE_FIELDS = {
+  sku: 'text',
+  volume: 'text',
+  price: 'number',
+  stock: 'number',
+  weight: 'number',
+  reorderPoint: 'number',
+  supplier: 'text',
+  leadTimeDays: 'number'
+};
+const IMAGE_FIELDS = { url: 'text', alt: 'text', isPrimary: 'boolean' };
+const GROUPS = { sizes: SIZE_FIELDS, images: IMAGE_FIELDS };
+
+const get = (obj, path) => path.split('.').reduce((o, k) => o?.[k], obj);
+const set = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((o, k) => (o[k] ??= {}), obj);
+  parent[last] = value;
+};
+const pick = (obj, fields) => {
+  const out = {};
+  for (const path of Object.keys(fields)) {
+    const value = get(obj, path);
+    if (value !== undefined) set(out, path, value);
+  }
+  return out;
+};
+
+// ─── Export ───────────────────────────────────────
+// The importable part of a product, nested
+const toPlain = (product) => ({
+  ...pick(product, FIELDS),
+  sizes: (product.sizes || []).map(s => pick(s, SIZE_FIELDS)),
+  images: (product.images || []).map(i => pick(i, IMAGE_FIELDS))
+});
+
+const formatCell = (type, value) => {
+  if (value === undefined || value === null) return '';
+  if (type === 'list') return value.join(LIST_SEPARATOR);
+  if (type === 'date') return new Date(value).toISOString();
+  return String(value);
+};
+
+const flatten = (plain) => {
+  const row = {};
+  for (const [path, type] of Object.entries(FIELDS)) row[path] = formatCell(type, get(plain, path));
+  for (const [group, fields] of Object.entries(GROUPS)) {
+    plain[group].forEach((item, i) => {
+      for (const [key, type] of Object.entries(fields)) row[`${group}.${i}.${key}`] = formatCell(type, item[key]);
+    });
+  }
+  return row;
+};
+
+const csvColumns = (products) => {
+  const columns = Object.keys(FIELDS);
+  for (const [group, fields] of Object.entries(GROUPS)) {
+    const count = Math.max(1, ...products.map(p => p[group].length));
+    for (let i = 0; i < count; i++) columns.push(...Object.keys(fields).map(key => `${group}.${i}.${key}`));
+  }
+  return columns;
+};
+
+// Every product, inactive ones included (isActive says which)
+const exportProducts = async (format = 'json') => {
+  const products = (await Product.find().sort('name').lean()).map(toPlain);
+  if (format === 'csv') return csv.toCsv(csvColumns(products), products.map(flatten));
+  return products;
+};
+
+// ─── Reading rows ─────────────────────────────────
+// Cell → value. Empty cells clear the field (null); errors collects
+// cells that can't be read.
+const parseCell = (type, raw, column, errors) => {
+  const value = String(raw ?? '').trim();
+  if (type === 'list') return value ? value.split('|').map(v => v.trim()).filter(Boolean) : [];
+  if (value === '') return null;
+
+  if (type === 'number') {
+    const n = Number(value);
+    if (Number.isNaN(n)) errors.push(`${column}: "${value}" is not a number`);
+    return n;
+  }
+  if (type === 'boolean') {
+    if (/^(true|yes|1)$/i.test(value)) return true;
+    if (/^(false|no|0)$/i.test(value)) return false;
+    errors.push(`${column}: "${value}" is not true or false`);
+    return null;
+  }
+  if (type === 'date') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) errors.push(`${column}: "${value}" is not a date`);
+    return date;
+  }
+  return value;
+};
+
+const knownColumn = (column) => {
+  if (column in FIELDS) return true;
+  const match = column.match(/^(sizes|images)\.\d+\.(\w+)$/);
+  return Boolean(match && GROUPS[match[1]][match[2]]);
+};
+
+// CSV row → nested product data with only the columns the file has
+const unflatten = (row, errors) => {
+  const data = {};
+  for (const [path, type] of Object.entries(FIELDS)) {
+    if (path in row) set(data, path, parseCell(type, row[path], path, errors));
+  }
+
+  for (const [group, fields] of Object.entries(GROUPS)) {
+    const items = [];
+    for (const column of Object.keys(row)) {
+      if (!column.startsWith(`${group}.`) || !knownColumn(column)) continue;
+      const [, i, key] = column.split('.');
+      items[i] ??= {};
+      items[i][key] = parseCell(fields[key], row[column], column, errors);
+    }
+    // A group of empty cells is a size / image the row doesn't have
+    const present = Object.keys(row).some(c => c.startsWith(`${group}.`));
+    if (present) data[group] = items.filter(item => item && Object.values(item).some(v => v !== null));
+  }
+  return data;
+};
+
+// Read an uploaded file / request body into [{ row, data, errors }]
+const readImport = (input, format) => {
+  if (format === 'csv') {
+    const rows = csv.parseCsv(input);
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+    const warnings = columns.filter(c => !knownColumn(c)).map(c => `Unknown column "${c}" ignored`);
+    return {
+      warnings,
+      rows: rows.map((row, i) => {
+        const errors = [];
+        return { row: i + 1, data: unflatten(row, errors), errors };
+      })
+    };
+  }
+
+  let products = input;
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    try {
+      products = JSON.parse(String(input).replace(/^\uFEFF/, ''));
+    } catch (e) {
+      throw httpError(400, `Invalid JSON: ${e.message}`);
+    }
+  }
+  if (!Array.isArray(products) && Array.isArray(products?.products)) products = products.products;
+  if (!Array.isArray(products)) throw httpError(400, 'Expected a list of products');
+
+  return {
+    warnings: [],
+    rows: products.map((product, i) => {
+      const data = pick(product || {}, FIELDS);
+      for (const group of Object.keys(GROUPS)) {
+        if (Array.isArray(product?.[group])) data[group] = product[group].map(item => pick(item || {}, GROUPS[group]));
+      }
+      return { row: i + 1, data, errors: [] };
+    })
+  };
+};
+
+// ─── Applying rows ────────────────────────────────
+const validationMessages = (error) => {
+  if (error.errors) return Object.values(error.errors).map(e => e.message);
+  if (error.code === 11000) {
+    const [[field, value]] = Object.entries(error.keyValue || { key: '?' });
+    return [`${field} ${value} is already used by another product`];
+  }
+  return [error.message];
+};
+
+// Sizes keep what the file doesn't mention (alert state, unexported
+// fields) by SKU; uploaded images keep their stored variants by URL
+const mergeGroup = (existing, incoming, key, normalize = (v) => v) => incoming.map(item => {
+  const current = item[key] && existing.find(e => e[key] === normalize(item[key]));
+  const merged = current ? current.toObject() : {};
+  for (const [k, v] of Object.entries(item)) {
+    if (v !== null || merged[k] != null) merged[k] = v;
+  }
+  return merged;
+});
+
+const buildDoc = (data, existing) => {
+  if (!existing) {
+    const { slug, ...fields } = data;   // new products take their slug from the name
+    return new Product(fields);
+  }
+
+  const updates = { ...data };
+  delete updates.slug;
+  if (updates.sizes) updates.sizes = mergeGroup(existing.sizes, updates.sizes, 'sku', (sku) => String(sku).trim().toUpperCase());
+  if (updates.images) updates.images = mergeGroup(existing.images, updates.images, 'url');
+
+  // Empty cells clear a value, but leave an unset one alone so an
+  // unedited row doesn't count as a change
+  const assign = (path, value) => {
+    if (value === null && existing.get(path) == null) return;
+    existing.set(path, value ?? undefined);
+  };
+  for (const [path, value] of Object.entries(updates)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      for (const [key, inner] of Object.entries(value)) assign(`${path}.${key}`, inner);
+    } else {
+      assign(path, value);
+    }
+  }
+  return existing;
+};
+
+const skusOf = (data) => (data.sizes || []).map(s => String(s.sku || '').trim().toUpperCase()).filter(Boolean);
+
+// Load the products a chunk of rows could touch
+const lookup = async (rows) => {
+  const slugs = new Set();
+  const skus = new Set();
+  for (const { data } of rows) {
+    if (data.slug) slugs.add(String(data.slug).toLowerCase());
+    if (data.name) slugs.add(Product.slugify(data.name));
+    skusOf(data).forEach(sku => skus.add(sku));
+  }
+  const products = await Product.find({ $or: [{ slug: { $in: [...slugs] } }, { 'sizes.sku': { $in: [...skus] } }] });
+  return {
+    bySlug: new Map(products.map(p => [p.slug, p])),
+    bySku: new Map(products.flatMap(p => p.sizes.map(s => [s.sku, p])))
+  };
+};
+
+// options: { format: 'csv' | 'json', dryRun, user }
+const importProducts = async (input, { format = 'json', dryRun = false, user } = {}) => {
+  const { rows, warnings } = readImport(input, format);
+  const report = { dryRun, total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0, warnings, rows: [] };
+  const COUNTERS = { create: 'created', update: 'updated', unchanged: 'unchanged', failed: 'failed' };
+
+  // Products, slugs and SKUs claimed by earlier rows of this file
+  const seenProducts = new Map();
+  const seenSlugs = new Map();
+  const seenSkus = new Map();
+
+  for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+    const chunk = rows.slice(start, start + CHUNK_SIZE);
+    const { bySlug, bySku } = await lookup(chunk);
+
+    for (const { row, data, errors } of chunk) {
+      const skus = skusOf(data);
+      const existing = (data.slug && bySlug.get(String(data.slug).toLowerCase())) || skus.map(s => bySku.get(s)).find(Boolean) || null;
+      const result = { row, slug: existing?.slug || data.slug || Product.slugify(data.name), name: data.name || existing?.name, action: existing ? 'update' : 'create' };
+
+      if (existing && seenProducts.has(existing.id)) errors.push(`${existing.name} is also in row ${seenProducts.get(existing.id)}`);
+      if (existing) seenProducts.set(existing.id, row);
+
+      // A SKU owned by a different product would break the unique index
+      for (const sku of skus) {
+        const owner = bySku.get(sku);
+        if (owner && !owner._id.equals(existing?._id)) errors.push(`SKU ${sku} belongs to ${owner.name}`);
+        if (seenSkus.has(sku)) errors.push(`SKU ${sku} is also in row ${seenSkus.get(sku)}`);
+      }
+
+      let doc = null;
+      let before = null;
+      if (!errors.length) {
+        before = existing && { sizes: existing.sizes.map(s => ({ sku: s.sku, stock: s.stock })) };
+        doc = buildDoc(data, existing);
+        const slug = doc.isModified('name') ? Product.slugify(doc.name) : doc.slug;
+        result.slug = slug;
+
+        const sameSlug = bySlug.get(slug);
+        if (sameSlug && !sameSlug._id.equals(doc._id)) errors.push(`Another product already has the slug "${slug}"`);
+        if (seenSlugs.has(slug)) errors.push(`Slug "${slug}" is also in row ${seenSlugs.get(slug)}`);
+
+        await doc.validate().catch(err => errors.push(...validationMessages(err)));
+      }
+
+      skus.forEach(sku => seenSkus.set(sku, row));
+      if (result.slug) seenSlugs.set(result.slug, row);
+
+      if (!errors.length && existing && !doc.isModified()) result.action = 'unchanged';
+
+      if (!errors.length && !dryRun && result.action !== 'unchanged') {
+        const sizesChanged = doc.isModified('sizes');
+        try {
+          await doc.save();
+          if (!existing) await recordInitialStock(doc, { user });
+          else if (sizesChanged) await recordProductEdit(before, doc, { user });
+        } catch (err) {
+          errors.push(...validationMessages(err));
+        }
+      }
+
+      if (errors.length) Object.assign(result, { action: 'failed', errors });
+      report[COUNTERS[result.action]]++;
+      report.rows.push(result);
+    }
+  }
+
+  return report;
+};
+
+module.exports = { exportProducts, importProducts };
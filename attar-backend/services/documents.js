@@ -0,0 +1,246 @@
+// ================================================
+// services/documents.js — Printable order documents (PDF)
+// renderInvoice(order)        — customer invoice with tax breakdown
+// renderPackingSlips(orders)  — one warehouse slip per page; gift orders
+//                               get a gift slip without prices
+// Both resolve to a Buffer.
+// ================================================
+
+const PDFDocument = require('pdfkit');
+
+const STORE = {
+  name: 'Zafar Attar',
+  address: process.env.STORE_ADDRESS || '',
+  email: process.env.STORE_EMAIL || 'orders@zafarattar.com',
+  taxId: process.env.STORE_TAX_ID || ''
+};
+
+const GOLD = '#9A7B2F';
+const GREY = '#666666';
+const MARGIN = 50;
+
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+const percent = (rate) => `${+(Number(rate || 0) * 100).toFixed(2)}%`;
+const date = (d) => (d ? new Date(d).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : '');
+
+const PAYMENT_LABELS = {
+  stripe: 'Card',
+  cod: 'Cash on delivery',
+  bank_transfer: 'Bank transfer',
+  fake: 'Test payment'
+};
+
+// Collect a pdfkit document into a Buffer
+const toBuffer = (build) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    build(doc);
+    doc.end();
+  } catch (err) {
+    reject(err);
+  }
+});
+
+// ─── Building blocks ──────────────────────────────
+const header = (doc, title) => {
+  doc.fillColor(GOLD).font('Helvetica-Bold').fontSize(20).text(STORE.name.toUpperCase(), MARGIN, MARGIN, { characterSpacing: 3 });
+  doc.fillColor(GREY).font('Helvetica').fontSize(9);
+  if (STORE.address) doc.text(STORE.address);
+  doc.text(STORE.email);
+  if (STORE.taxId) doc.text(`Tax ID: ${STORE.taxId}`);
+
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(16)
+    .text(title, MARGIN, MARGIN, { align: 'right' });
+  doc.moveDown(3);
+};
+
+const addressBlock = (doc, label, address, x, y, extra = []) => {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(GREY).text(label, x, y);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+  [
+    address.fullName,
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country,
+    address.phone,
+    ...extra
+  ].filter(Boolean).forEach(line => doc.text(line, x, undefined, { width: 230 }));
+};
+
+const detailsBlock = (doc, rows, x, y) => {
+  rows.forEach(([label, value], i) => {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(GREY).text(label, x, y + i * 14, { width: 90 });
+    doc.font('Helvetica').fontSize(10).fillColor('black').text(value || '-', x + 95, y + i * 14, { width: 150 });
+  });
+};
+
+// columns: [{ label, width, align }] — rows: arrays of strings
+const table = (doc, columns, rows, y) => {
+  const drawRow = (cells, rowY, bold) => {
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('black');
+    const heights = cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i].width - 6 }));
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x, rowY, { width: columns[i].width - 6, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    return rowY + Math.max(...heights) + 6;
+  };
+
+  const right = MARGIN + columns.reduce((s, c) => s + c.width, 0);
+  y = drawRow(columns.map(c => c.label), y, true);
+  doc.moveTo(MARGIN, y - 3).lineTo(right, y - 3).strokeColor(GOLD).lineWidth(1).stroke();
+
+  for (const row of rows) {
+    if (y > doc.page.height - 150) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    y = drawRow(row, y, false);
+  }
+
+  doc.moveTo(MARGIN, y).lineTo(right, y).strokeColor('#CCCCCC').lineWidth(0.5).stroke();
+  return y + 8;
+};
+
+const totalsBlock = (doc, rows, y) => {
+  const x = doc.page.width - MARGIN - 230;
+  rows.forEach(([label, value, bold]) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9).fillColor('black');
+    doc.text(label, x, y, { width: 150 });
+    doc.text(value, x + 150, y, { width: 80, align: 'right' });
+    y += bold ? 18 : 14;
+  });
+  return y;
+};
+
+// ─── Invoice ──────────────────────────────────────
+// Line taxes grouped by rate, plus shipping tax
+const taxBreakdown = (order) => {
+  const byRate = new Map();
+  for (const item of order.items) {
+    if (!item.tax) continue;
+    const key = item.taxRate ?? 0;
+    byRate.set(key, (byRate.get(key) || 0) + item.tax);
+  }
+
+  const region = order.pricing.taxRegion || 'Tax';
+  const rows = [...byRate.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, tax]) => [`${region} ${percent(rate)}`, money(tax)]);
+  if (order.pricing.shippingTax) rows.push([`${region} on shipping`, money(order.pricing.shippingTax)]);
+  if (!rows.length) rows.push([region, money(order.pricing.tax)]);
+  return rows;
+};
+
+const renderInvoice = (order, { email } = {}) => toBuffer(doc => {
+  header(doc, 'INVOICE');
+  const top = doc.y;
+
+  addressBlock(doc, 'BILL TO', order.shippingAddress, MARGIN, top, [email]);
+  detailsBlock(doc, [
+    ['Invoice no.', order.invoice?.number],
+    ['Invoice date', date(order.invoice?.issuedAt)],
+    ['Order no.', order.orderNumber],
+    ['Order date', date(order.createdAt)],
+    ['Payment', `${PAYMENT_LABELS[order.payment.method] || order.payment.method} (${order.payment.status.replace('_', ' ')})`]
+  ], doc.page.width - MARGIN - 245, top);
+
+  const inclusive = order.pricing.taxInclusive;
+  let y = table(doc, [
+    { label: 'Item', width: 185 },
+    { label: 'Size', width: 55 },
+    { label: 'Qty', width: 35, align: 'right' },
+    { label: 'Unit price', width: 70, align: 'right' },
+    { label: 'Tax rate', width: 55, align: 'right' },
+    { label: 'Tax', width: 45, align: 'right' },
+    { label: 'Amount', width: 50, align: 'right' }
+  ], order.items.map(i => [
+    i.name,
+    i.size,
+    i.quantity,
+    money(i.price),
+    percent(i.taxRate),
+    money(i.tax),
+    money(i.price * i.quantity)
+  ]), Math.max(doc.y, top + 90) + 20);
+
+  const rows = [['Subtotal', money(order.pricing.subtotal)]];
+  if (order.pricing.discount) {
+    rows.push([`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`, `-${money(order.pricing.discount)}`]);
+  }
+  rows.push([`Shipping${order.shippingMethod?.name ? ` (${order.shippingMethod.name})` : ''}`, money(order.pricing.shipping)]);
+  taxBreakdown(order).forEach(([label, value]) => rows.push([inclusive ? `${label} (included)` : label, value]));
+  rows.push(['Total', money(order.pricing.total), true]);
+  if (order.payment.refundedAmount) {
+    rows.push(['Refunded', `-${money(order.payment.refundedAmount)}`]);
+    rows.push(['Net paid', money(order.pricing.total - order.payment.refundedAmount), true]);
+  }
+  y = totalsBlock(doc, rows, y);
+
+  if (inclusive) {
+    doc.font('Helvetica').fontSize(8).fillColor(GREY)
+      .text('Prices include tax. The tax shown is the amount contained in each price.', MARGIN, y + 10);
+  }
+
+  doc.font('Helvetica').fontSize(8).fillColor(GREY)
+    .text(`Thank you for shopping with ${STORE.name}.`, MARGIN, doc.page.height - MARGIN - 20, { align: 'center' });
+});
+
+// ─── Packing slips ────────────────────────────────
+const packingSlip = (doc, order) => {
+  const gift = order.isGift;
+  header(doc, gift ? 'GIFT SLIP' : 'PACKING SLIP');
+  const top = doc.y;
+
+  addressBlock(doc, 'SHIP TO', order.shippingAddress, MARGIN, top);
+  detailsBlock(doc, [
+    ['Order no.', order.orderNumber],
+    ['Order date', date(order.createdAt)],
+    ['Shipping', order.shippingMethod?.name || order.shippingMethod?.service],
+    ['Items', String(order.items.reduce((n, i) => n + i.quantity, 0))]
+  ], doc.page.width - MARGIN - 245, top);
+
+  // Gift slips travel with the parcel — no prices on them
+  const columns = gift
+    ? [{ label: 'Item', width: 320 }, { label: 'Size', width: 100 }, { label: 'Qty', width: 75, align: 'right' }]
+    : [
+        { label: 'Item', width: 250 },
+        { label: 'Size', width: 70 },
+        { label: 'Qty', width: 45, align: 'right' },
+        { label: 'Unit price', width: 65, align: 'right' },
+        { label: 'Amount', width: 65, align: 'right' }
+      ];
+  const rows = order.items.map(i => gift
+    ? [i.name, i.size, i.quantity]
+    : [i.name, i.size, i.quantity, money(i.price), money(i.price * i.quantity)]);
+
+  let y = table(doc, columns, rows, Math.max(doc.y, top + 80) + 20);
+
+  if (gift && order.giftMessage) {
+    y += 10;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(GOLD).text('A MESSAGE FOR YOU', MARGIN, y);
+    doc.font('Helvetica-Oblique').fontSize(12).fillColor('black')
+      .text(order.giftMessage, MARGIN, doc.y + 6, { width: doc.page.width - MARGIN * 2 });
+    y = doc.y;
+  }
+
+  if (order.notes) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(GREY).text('ORDER NOTES', MARGIN, y + 16);
+    doc.font('Helvetica').fontSize(9).fillColor('black').text(order.notes, MARGIN, doc.y + 4);
+  }
+};
+
+const renderPackingSlips = (orders) => toBuffer(doc => {
+  orders.forEach((order, i) => {
+    if (i > 0) doc.addPage();
+    packingSlip(doc, order);
+  });
+});
+
+module.exports = { renderInvoice, renderPackingSlips };
@@ -0,0 +1,65 @@
+// ================================================
+// services/images.js — Product image variants (sharp)
+// ================================================
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const UPLOAD_ROOT = path.join(__dirname, '..', 'public', 'uploads');
+const UPLOAD_URL = '/uploads';
+
+// Longest edge in pixels; images are never enlarged
+const VARIANTS = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+const variantPath = (key, variant) => path.join(UPLOAD_ROOT, `${key}-${variant}.webp`);
+const variantUrl = (key, variant) => `${UPLOAD_URL}/${key}-${variant}.webp`;
+
+// Resize an uploaded buffer into every variant under products/<productId>/.
+// Returns the fields for a Product.images entry.
+const saveProductImage = async (productId, buffer) => {
+  // Reject files that only claim to be images
+  const meta = await sharp(buffer).metadata().catch(() => null);
+  if (!meta || !['jpeg', 'png', 'webp'].includes(meta.format)) {
+    const err = new Error('File is not a valid JPEG, PNG or WebP image');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const key = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+  await fs.mkdir(path.dirname(variantPath(key, 'large')), { recursive: true });
+
+  const variants = {};
+  try {
+    for (const [variant, size] of Object.entries(VARIANTS)) {
+      await sharp(buffer)
+        .rotate() // respect EXIF orientation
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toFile(variantPath(key, variant));
+      variants[variant] = variantUrl(key, variant);
+    }
+  } catch (err) {
+    await deleteImageFiles({ key });
+    throw err;
+  }
+
+  return { key, url: variants.large, variants };
+};
+
+// Remove every variant of an uploaded image; pasted URLs have no key and are left alone
+const deleteImageFiles = async (image) => {
+  if (!image?.key) return;
+  await Promise.all(Object.keys(VARIANTS).map(variant =>
+    fs.unlink(variantPath(image.key, variant)).catch(err => {
+      if (err.code !== 'ENOENT') console.error(`🔴 Could not delete ${image.key}-${variant}:`, err.message);
+    })
+  ));
+};
+
+module.exports = { VARIANTS, saveProductImage, deleteImageFiles };
@@ -0,0 +1,243 @@
+// ================================================
+// services/inventory.js — Stock reservation + ledger
+// Every stock change goes through here and is written to the
+// StockMovement ledger with its reason, actor and order.
+// ================================================
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const StockMovement = require('../models/StockMovement');
+const httpError = require('../utils/httpError');
+
+// How long an unpaid card order may hold its stock
+const RESERVATION_MINUTES = Number(process.env.STOCK_RESERVATION_MINUTES) || 30;
+
+// The matched size only, with the stock before or after the update
+const SIZE_ONLY = { name: 1, 'sizes.$': 1 };
+
+// Ledger entry for the one size on a product loaded with SIZE_ONLY.
+// context: actor (customer/admin/webhook/system), user, order, returnRequest, reason
+const movement = (product, type, quantity, { actor = 'system', user, order, returnRequest, reason } = {}) => ({
+  product: product._id,
+  sku: product.sizes[0].sku,
+  size: product.sizes[0].volume,
+  type,
+  quantity,
+  stockAfter: product.sizes[0].stock,
+  reason,
+  actor,
+  user,
+  order,
+  returnRequest
+});
+
+// Decrement stock for every line, only where enough is left, and record
+// each as a sale against `order` (an id — callers create it afterwards).
+// Throws a 409 on the first line that cannot be covered — callers run this
+// inside withTransaction() so earlier lines are rolled back.
+const reserveStock = async (items, { session = null, onRollback = () => {}, ...context } = {}) => {
+  const movements = [];
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      { _id: item.product, sizes: { $elemMatch: { volume: item.size, stock: { $gte: item.quantity } } } },
+      { $inc: { 'sizes.$.stock': -item.quantity } },
+      { session, new: true, projection: SIZE_ONLY }
+    );
+
+    if (!product) {
+      throw httpError(409, `Insufficient stock for ${item.name || item.product} (${item.size})`);
+    }
+
+    onRollback(() => Product.updateOne(
+      { _id: item.product, 'sizes.volume': item.size },
+      { $inc: { 'sizes.$.stock': item.quantity } }
+    ));
+    movements.push(movement(product, 'sale', -item.quantity, context));
+  }
+
+  const recorded = await StockMovement.insertMany(movements, { session });
+  onRollback(() => StockMovement.deleteMany({ _id: { $in: recorded.map(m => m._id) } }));
+};
+
+// Put stock back for every line — type is 'cancel' or 'return'
+const releaseStock = async (items, { session = null, type = 'cancel', ...context } = {}) => {
+  const movements = [];
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      { _id: item.product, 'sizes.volume': item.size },
+      { $inc: { 'sizes.$.stock': item.quantity } },
+      { session, new: true, projection: SIZE_ONLY }
+    );
+    // Size deleted since the sale — nothing to put back
+    if (product) movements.push(movement(product, type, item.quantity, context));
+  }
+
+  if (movements.length) await StockMovement.insertMany(movements, { session });
+};
+
+// ─── Admin stock changes ──────────────────────────
+// Add (or remove, with a negative quantity) units of one SKU. Never takes
+// stock below zero.
+const adjustStock = async (sku, quantity, { reason, user } = {}) => {
+  quantity = Number(quantity);
+  if (!Number.isInteger(quantity) || quantity === 0) throw httpError(400, 'Quantity must be a non-zero whole number');
+
+  sku = String(sku).toUpperCase();
+  const elem = quantity < 0 ? { sku, stock: { $gte: -quantity } } : { sku };
+  const product = await Product.findOneAndUpdate(
+    { sizes: { $elemMatch: elem } },
+    { $inc: { 'sizes.$.stock': quantity } },
+    { new: true, projection: SIZE_ONLY }
+  );
+  if (!product) {
+    const exists = await Product.exists({ 'sizes.sku': sku });
+    throw exists ? httpError(409, `Not enough stock of ${sku} to remove ${-quantity}`) : httpError(404, `Unknown SKU: ${sku}`);
+  }
+
+  return StockMovement.create(movement(product, 'adjustment', quantity, { actor: 'admin', user, reason }));
+};
+
+// Set a SKU to a physically counted quantity; records the difference
+// (also when it is zero, so the count shows in the history)
+const countStock = async (sku, counted, { reason, user } = {}) => {
+  counted = Number(counted);
+  if (!Number.isInteger(counted) || counted < 0) throw httpError(400, 'Counted stock must be a whole number of 0 or more');
+
+  sku = String(sku).toUpperCase();
+  const before = await Product.findOneAndUpdate(
+    { 'sizes.sku': sku },
+    { $set: { 'sizes.$.stock': counted } },
+    { new: false, projection: SIZE_ONLY }
+  );
+  if (!before) throw httpError(404, `Unknown SKU: ${sku}`);
+
+  const difference = counted - before.sizes[0].stock;
+  before.sizes[0].stock = counted;
+  return StockMovement.create(movement(before, 'stocktake', difference, { actor: 'admin', user, reason: reason || 'Stock-take' }));
+};
+
+// Opening balance for sizes created with stock (new products, new sizes)
+const recordInitialStock = async (product, { user, sizes = product.sizes } = {}) => {
+  const movements = sizes
+    .filter(size => size.stock > 0)
+    .map(size => movement({ _id: product._id, sizes: [size] }, 'initial', size.stock, { actor: 'admin', user, reason: 'Initial stock' }));
+  if (movements.length) await StockMovement.insertMany(movements);
+};
+
+// Stock changed by editing the product itself: record the difference per SKU
+const recordProductEdit = async (before, after, { user } = {}) => {
+  const previous = new Map(before.sizes.map(s => [s.sku, s.stock]));
+  const added = after.sizes.filter(s => !previous.has(s.sku));
+  const changed = after.sizes.filter(s => previous.has(s.sku) && previous.get(s.sku) !== s.stock);
+
+  await recordInitialStock(after, { user, sizes: added });
+  if (changed.length) {
+    await StockMovement.insertMany(changed.map(size => movement(
+      { _id: after._id, sizes: [size] }, 'adjustment', size.stock - previous.get(size.sku),
+      { actor: 'admin', user, reason: 'Edited on the product' }
+    )));
+  }
+};
+
+// ─── Reconciliation ───────────────────────────────
+// Compare every SKU's stock with the sum of its ledger. With apply, each
+// difference is booked as an adjustment so the ledger matches the shelf
+// count held on the product.
+const reconcileStock = async ({ apply = false, user } = {}) => {
+  const [products, sums] = await Promise.all([
+    Product.find().select('name sizes.sku sizes.volume sizes.stock'),
+    StockMovement.aggregate([{ $group: { _id: '$sku', total: { $sum: '$quantity' }, movements: { $sum: 1 } } }])
+  ]);
+  const ledger = new Map(sums.map(s => [s._id, s]));
+
+  const rows = [];
+  for (const product of products) {
+    for (const size of product.sizes) {
+      const entry = ledger.get(size.sku) || { total: 0, movements: 0 };
+      rows.push({
+        product: product._id,
+        name: product.name,
+        sku: size.sku,
+        size: size.volume,
+        stock: size.stock,
+        ledger: entry.total,
+        movements: entry.movements,
+        difference: size.stock - entry.total
+      });
+    }
+  }
+
+  const mismatched = rows.filter(r => r.difference !== 0);
+  if (apply && mismatched.length) {
+    await StockMovement.insertMany(mismatched.map(r => ({
+      product: r.product,
+      sku: r.sku,
+      size: r.size,
+      type: 'adjustment',
+      quantity: r.difference,
+      stockAfter: r.stock,
+      reason: 'Reconciliation',
+      actor: 'admin',
+      user
+    })));
+  }
+
+  return { checked: rows.length, mismatched, applied: apply ? mismatched.length : 0 };
+};
+
+const reservationExpiry = (minutes = RESERVATION_MINUTES) => new Date(Date.now() + minutes * 60 * 1000);
+
+// Cancel unpaid orders (card, bank transfer) whose reservation ran out, and
+// retry cancelled orders whose restock failed. The state machine claims each
+// cancellation and restock once, so overlapping runs are safe.
+const releaseExpiredReservations = async () => {
+  // Required lazily — both depend on this module
+  const { transition, releaseOrder } = require('./orderStateMachine');
+  const { getProvider } = require('./payments');
+
+  const expired = await Order.find({
+    status: 'pending',
+    'payment.status': { $in: ['pending', 'failed'] },
+    'reservation.expiresAt': { $lte: new Date() },
+    'reservation.releasedAt': { $exists: false }
+  });
+
+  let released = 0;
+  for (const order of expired) {
+    try {
+      await transition(order, 'cancelled', { actor: 'system', message: 'Payment was not completed in time' });
+    } catch (err) {
+      if (err.statusCode === 409) continue; // paid or cancelled meanwhile
+      throw err;
+    }
+
+    // Stop a late payment from succeeding against a cancelled order
+    await getProvider(order.payment.method).cancelPayment(order)
+      .catch(e => console.error(`🔴 Could not cancel payment for ${order.orderNumber}:`, e.message));
+    released++;
+  }
+
+  const failed = await Order.find({
+    status: 'cancelled',
+    'reservation.releaseFailedAt': { $exists: true },
+    'reservation.releasedAt': { $exists: false }
+  });
+  for (const order of failed) {
+    if (await releaseOrder(order, { actor: 'system', message: 'Restock retried' })) released++;
+  }
+
+  return released;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reserveStock,
+  releaseStock,
+  adjustStock,
+  countStock,
+  recordInitialStock,
+  recordProductEdit,
+  reconcileStock,
+  reservationExpiry,
+  releaseExpiredReservations
+};
@@ -0,0 +1,164 @@
+// ================================================
+// services/mail.js — Transactional email via outbox
+//
+// sendEmail() stores the rendered message in the outbox and tries to
+// deliver it straight away; failures are retried by processOutbox().
+// Bodies carry reset, verification and guest order links, so they are
+// stored encrypted (MAIL_OUTBOX_SECRET, else JWT_SECRET) and cleared once
+// the message is sent or given up on.
+//
+// MAIL_TRANSPORT:
+//   smtp  — SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (default when SMTP_HOST is set)
+//   json  — nodemailer JSON transport, logged to the console (default otherwise)
+//   file  — writes each message as .eml + .json into MAIL_DIR (default ./mail-outbox)
+// ================================================
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const OutboxEmail = require('../models/OutboxEmail');
+const { templates } = require('./mailTemplates');
+
+const MAX_ATTEMPTS = 5;
+const MAIL_FROM = process.env.MAIL_FROM || 'Zafar Attar <no-reply@zafarattar.com>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+let transport;
+
+const transportType = () =>
+  process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  switch (transportType()) {
+    case 'smtp':
+      transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: Number(process.env.SMTP_PORT) === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+      break;
+    case 'file':
+      transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      break;
+    default:
+      transport = nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transport;
+};
+
+// ─── Body encryption ──────────────────────────────
+// AES-256-GCM; stored as "enc:<iv>:<tag>:<ciphertext>" (base64)
+const key = () => crypto.createHash('sha256')
+  .update(process.env.MAIL_OUTBOX_SECRET || process.env.JWT_SECRET || 'fallback_secret')
+  .digest();
+
+const seal = (plain) => {
+  if (plain === undefined || plain === null) return plain;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key(), iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return ['enc', iv, cipher.getAuthTag(), data].map(p => typeof p === 'string' ? p : p.toString('base64')).join(':');
+};
+
+// Rows queued before encryption are plain text and pass through
+const unseal = (stored) => {
+  if (!stored?.startsWith('enc:')) return stored;
+  const [, iv, tag, data] = stored.split(':').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// Exponential backoff: 1, 4, 16, 64 minutes
+const retryDelay = (attempts) => Math.pow(4, attempts - 1) * 60 * 1000;
+
+const deliver = async (email) => {
+  // Claim the message so the outbox job and an immediate send never both deliver it
+  const claimed = await OutboxEmail.findOneAndUpdate(
+    { _id: email._id, status: 'pending' },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  try {
+    const html = unseal(claimed.html);
+    const text = unseal(claimed.text);
+    const info = await getTransport().sendMail({
+      from: MAIL_FROM,
+      to: claimed.to,
+      subject: claimed.subject,
+      html,
+      text
+    });
+
+    if (transportType() === 'file') {
+      await fs.mkdir(MAIL_DIR, { recursive: true });
+      const base = path.join(MAIL_DIR, `${Date.now()}-${claimed.template || 'email'}-${claimed._id}`);
+      await fs.writeFile(`${base}.eml`, info.message);
+      await fs.writeFile(`${base}.json`, JSON.stringify({
+        to: claimed.to, subject: claimed.subject, template: claimed.template, text
+      }, null, 2));
+    } else if (transportType() === 'json' && process.env.NODE_ENV !== 'production') {
+      console.log(`📧 [${claimed.template}] → ${claimed.to}: ${claimed.subject}`);
+    }
+
+    claimed.status = 'sent';
+    claimed.sentAt = new Date();
+    claimed.html = undefined;
+    claimed.text = undefined;
+    claimed.messageId = info.messageId;
+    claimed.lastError = undefined;
+  } catch (err) {
+    claimed.lastError = err.message;
+    if (claimed.attempts >= MAX_ATTEMPTS) {
+      claimed.status = 'failed';
+      claimed.html = undefined;
+      claimed.text = undefined;
+    } else {
+      claimed.status = 'pending';
+      claimed.nextAttemptAt = new Date(Date.now() + retryDelay(claimed.attempts));
+    }
+    console.error(`🔴 Email to ${claimed.to} failed (attempt ${claimed.attempts}):`, err.message);
+  }
+
+  await claimed.save();
+};
+
+// Render a template and queue it. Never throws — mail must not break the request.
+const sendEmail = async (template, to, data = {}) => {
+  try {
+    if (!templates[template]) throw new Error(`Unknown email template: ${template}`);
+    if (!to) throw new Error('No recipient');
+
+    const { subject, html, text } = templates[template](data);
+    const email = await OutboxEmail.create({ to, subject, html: seal(html), text: seal(text), template });
+
+    deliver(email).catch(err => console.error('🔴 Email delivery error:', err.message));
+    return email;
+  } catch (err) {
+    console.error(`🔴 Could not queue "${template}" email:`, err.message);
+    return null;
+  }
+};
+
+// Retry anything due; also picks up messages stuck in "sending" after a crash
+const processOutbox = async () => {
+  await OutboxEmail.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(Date.now() - 10 * 60 * 1000) } },
+    { $set: { status: 'pending' } }
+  );
+
+  const due = await OutboxEmail.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort('nextAttemptAt')
+    .limit(50);
+
+  for (const email of due) await deliver(email);
+  return due.length;
+};
+
+module.exports = { sendEmail, processOutbox };
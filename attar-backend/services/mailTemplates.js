@@ -0,0 +1,212 @@
+// ================================================
+// services/mailTemplates.js — Transactional email templates
+// Each template takes data and returns { subject, html, text }
+// ================================================
+
+const { trackingUrl, carrierUrl } = require('./tracking');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const STORE_NAME = 'Zafar Attar';
+
+const escape = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+
+// ─── Layout ───────────────────────────────────────
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#0F0C09;font-family:Georgia,serif;color:#F5EFE0;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background:#0F0C09;padding:32px 0;">
+    <tr><td align="center">
+      <table width="560" cellpadding="0" cellspacing="0" style="background:#1A1510;border:1px solid #3A2F1F;">
+        <tr><td style="padding:28px 32px;border-bottom:1px solid #3A2F1F;text-align:center;">
+          <span style="font-size:20px;letter-spacing:6px;color:#C9A84C;">✦ ${STORE_NAME.toUpperCase()} ✦</span>
+        </td></tr>
+        <tr><td style="padding:32px;">
+          <h1 style="font-size:22px;font-weight:normal;color:#C9A84C;margin:0 0 20px;">${escape(title)}</h1>
+          ${body}
+        </td></tr>
+        <tr><td style="padding:20px 32px;border-top:1px solid #3A2F1F;font-size:12px;color:#8A7F6E;text-align:center;">
+          ${STORE_NAME} · Pure attars, traditionally distilled
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+const button = (url, label) =>
+  `<p style="margin:28px 0;"><a href="${escape(url)}" style="background:#C9A84C;color:#0F0C09;padding:12px 28px;text-decoration:none;letter-spacing:2px;">${escape(label)}</a></p>`;
+
+const paragraph = (text) => `<p style="line-height:1.6;margin:0 0 14px;">${text}</p>`;
+
+const itemsTable = (order) => `
+  <table width="100%" cellpadding="6" cellspacing="0" style="border-collapse:collapse;margin:16px 0;font-size:14px;">
+    ${order.items.map(i => `
+    <tr style="border-bottom:1px solid #3A2F1F;">
+      <td>${escape(i.name)} · ${escape(i.size)} × ${i.quantity}</td>
+      <td align="right">${money(i.price * i.quantity)}</td>
+    </tr>`).join('')}
+    <tr><td>Shipping</td><td align="right">${money(order.pricing.shipping)}</td></tr>
+    ${order.pricing.discount ? `<tr><td>Discount</td><td align="right">-${money(order.pricing.discount)}</td></tr>` : ''}
+    <tr><td>Tax${order.pricing.taxInclusive ? ' (included)' : ''}</td><td align="right">${money(order.pricing.tax)}</td></tr>
+    <tr><td><strong>Total</strong></td><td align="right"><strong>${money(order.pricing.total)}</strong></td></tr>
+  </table>`;
+
+const itemsText = (order) => [
+  ...order.items.map(i => `  ${i.name} · ${i.size} × ${i.quantity}  ${money(i.price * i.quantity)}`),
+  `  Shipping  ${money(order.pricing.shipping)}`,
+  ...(order.pricing.discount ? [`  Discount  -${money(order.pricing.discount)}`] : []),
+  `  Tax${order.pricing.taxInclusive ? ' (included)' : ''}  ${money(order.pricing.tax)}`,
+  `  Total  ${money(order.pricing.total)}`
+].join('\n');
+
+// Guests open their order with the order-access token instead of a login
+const orderUrl = (order, accessToken) =>
+  `${CLIENT_URL}/orders/${order._id}${accessToken ? `?accessToken=${accessToken}` : ''}`;
+const firstName = (name) => escape(String(name || '').split(' ')[0] || 'there');
+
+// ─── Templates ────────────────────────────────────
+const templates = {
+  verifyEmail: ({ user, url }) => ({
+    subject: `Confirm your email — ${STORE_NAME}`,
+    html: layout('Confirm your email', [
+      paragraph(`Salaam ${firstName(user.name)},`),
+      paragraph('Welcome to the Zafar Attar circle. Please confirm your email address to complete your account.'),
+      button(url, 'CONFIRM EMAIL'),
+      paragraph(`<span style="font-size:12px;color:#8A7F6E;">If the button doesn't work, copy this link into your browser:<br>${escape(url)}</span>`)
+    ].join('')),
+    text: `Salaam ${user.name},\n\nWelcome to the Zafar Attar circle. Confirm your email address here:\n${url}\n`
+  }),
+
+  passwordReset: ({ user, url, expiresInMinutes }) => ({
+    subject: `Reset your password — ${STORE_NAME}`,
+    html: layout('Reset your password', [
+      paragraph(`Salaam ${firstName(user.name)},`),
+      paragraph(`We received a request to reset your password. This link expires in ${expiresInMinutes} minutes.`),
+      button(url, 'RESET PASSWORD'),
+      paragraph('If you did not ask for this, you can ignore this email — your password will not change.')
+    ].join('')),
+    text: `Salaam ${user.name},\n\nReset your password here (expires in ${expiresInMinutes} minutes):\n${url}\n\nIf you did not ask for this, ignore this email.\n`
+  }),
+
+  orderPlaced: ({ order, payment, accessToken }) => {
+    const bank = payment?.instructions;
+    const bankLines = bank ? [
+      `Please transfer ${money(bank.amount)} to:`,
+      `  ${bank.accountName}${bank.bankName ? ` · ${bank.bankName}` : ''}`,
+      bank.iban ? `  IBAN: ${bank.iban}` : null,
+      bank.swift ? `  SWIFT: ${bank.swift}` : null,
+      `  Reference: ${bank.reference}`,
+      bank.dueBy ? `Your items are held until ${new Date(bank.dueBy).toDateString()}.` : null
+    ].filter(l => l !== null) : [];
+
+    return {
+      subject: `Order ${order.orderNumber} received — ${STORE_NAME}`,
+      html: layout('Thank you for your order', [
+        paragraph(`Salaam ${firstName(order.shippingAddress.fullName)},`),
+        paragraph(`We have received order <strong>${escape(order.orderNumber)}</strong>.`),
+        itemsTable(order),
+        bank ? paragraph(bankLines.map(escape).join('<br>')) : '',
+        button(orderUrl(order, accessToken), 'VIEW ORDER'),
+        paragraph(`<span style="font-size:12px;color:#8A7F6E;">Follow your order without signing in: <a href="${escape(trackingUrl(order))}" style="color:#C9A84C;">track order</a></span>`)
+      ].join('')),
+      text: `Salaam ${order.shippingAddress.fullName},\n\nWe have received order ${order.orderNumber}.\n\n${itemsText(order)}\n\n` +
+        (bank ? `${bankLines.join('\n')}\n\n` : '') +
+        `View your order: ${orderUrl(order, accessToken)}\nTrack without signing in: ${trackingUrl(order)}\n`
+    };
+  },
+
+  paymentReceived: ({ order }) => ({
+    subject: `Payment received for ${order.orderNumber} — ${STORE_NAME}`,
+    html: layout('Payment received', [
+      paragraph(`Salaam ${firstName(order.shippingAddress.fullName)},`),
+      paragraph(`We have received your payment of <strong>${money(order.pricing.total)}</strong> for order ${escape(order.orderNumber)}. We are preparing it now.`),
+      button(orderUrl(order), 'VIEW ORDER')
+    ].join('')),
+    text: `Salaam ${order.shippingAddress.fullName},\n\nWe have received your payment of ${money(order.pricing.total)} for order ${order.orderNumber}.\n\nView your order: ${orderUrl(order)}\n`
+  }),
+
+  orderShipped: ({ order }) => {
+    const t = order.tracking || {};
+    const parcelUrl = carrierUrl(t);
+    const eta = t.estimatedDelivery ? new Date(t.estimatedDelivery).toDateString() : null;
+    return {
+      subject: `Order ${order.orderNumber} has shipped — ${STORE_NAME}`,
+      html: layout('Your order is on its way', [
+        paragraph(`Salaam ${firstName(order.shippingAddress.fullName)},`),
+        paragraph(`Order <strong>${escape(order.orderNumber)}</strong> has left our atelier.`),
+        t.carrier ? paragraph(`Carrier: ${escape(t.carrier)}`) : '',
+        t.trackingNumber ? paragraph(`Tracking number: <strong>${escape(t.trackingNumber)}</strong>`) : '',
+        eta ? paragraph(`Estimated delivery: ${escape(eta)}`) : '',
+        parcelUrl ? button(parcelUrl, 'TRACK PARCEL') : button(trackingUrl(order), 'TRACK ORDER')
+      ].join('')),
+      text: [
+        `Salaam ${order.shippingAddress.fullName},`,
+        '',
+        `Order ${order.orderNumber} has shipped.`,
+        t.carrier ? `Carrier: ${t.carrier}` : null,
+        t.trackingNumber ? `Tracking number: ${t.trackingNumber}` : null,
+        eta ? `Estimated delivery: ${eta}` : null,
+        `Track: ${parcelUrl || trackingUrl(order)}`
+      ].filter(l => l !== null).join('\n') + '\n'
+    };
+  },
+
+  orderDelivered: ({ order }) => ({
+    subject: `Order ${order.orderNumber} delivered — ${STORE_NAME}`,
+    html: layout('Delivered', [
+      paragraph(`Salaam ${firstName(order.shippingAddress.fullName)},`),
+      paragraph(`Order <strong>${escape(order.orderNumber)}</strong> has been delivered. We hope your attars bring you joy.`),
+      paragraph('Your review helps other fragrance lovers choose — we would love to hear from you.'),
+      button(orderUrl(order), 'REVIEW YOUR ORDER')
+    ].join('')),
+    text: `Salaam ${order.shippingAddress.fullName},\n\nOrder ${order.orderNumber} has been delivered.\n\nReview your order: ${orderUrl(order)}\n`
+  }),
+
+  orderCancelled: ({ order, reason }) => ({
+    subject: `Order ${order.orderNumber} cancelled — ${STORE_NAME}`,
+    html: layout('Order cancelled', [
+      paragraph(`Salaam ${firstName(order.shippingAddress.fullName)},`),
+      paragraph(`Order <strong>${escape(order.orderNumber)}</strong> has been cancelled.`),
+      reason ? paragraph(`Reason: ${escape(reason)}`) : '',
+      order.payment?.status === 'paid' ? paragraph('Any payment taken will be refunded to your original payment method.') : ''
+    ].join('')),
+    text: `Salaam ${order.shippingAddress.fullName},\n\nOrder ${order.orderNumber} has been cancelled.${reason ? `\nReason: ${reason}` : ''}\n`
+  }),
+
+  // Staff alert from services/reorder.js — items are reorder report rows
+  lowStockAlert: ({ items }) => {
+    const runsOut = (i) => (i.stock === 0 ? 'out of stock'
+      : i.daysToStockout !== null ? `~${i.daysToStockout} days left` : `${i.stock} left`);
+    return {
+      subject: `Low stock: ${items.length} SKU${items.length === 1 ? '' : 's'} to reorder — ${STORE_NAME}`,
+      html: layout('Low stock', [
+        paragraph(`${items.length} SKU${items.length === 1 ? ' has' : 's have'} reached the reorder point or will run out before a new delivery could arrive.`),
+        `<table width="100%" cellpadding="6" cellspacing="0" style="border-collapse:collapse;margin:16px 0;font-size:14px;">
+          ${items.map(i => `
+          <tr style="border-bottom:1px solid #3A2F1F;">
+            <td>${escape(i.name)} · ${escape(i.size)}<br><span style="color:#8A7F6E;font-size:12px;">${escape(i.sku)}${i.supplier ? ` · ${escape(i.supplier)}` : ''}</span></td>
+            <td align="right">${i.stock} in stock<br><span style="color:#8A7F6E;font-size:12px;">${runsOut(i)}</span></td>
+            <td align="right">order ${i.suggestedQuantity}</td>
+          </tr>`).join('')}
+        </table>`,
+        button(`${CLIENT_URL}/admin/inventory`, 'VIEW REORDER LIST')
+      ].join('')),
+      text: [
+        `${items.length} SKU(s) to reorder:`,
+        '',
+        ...items.map(i => `  ${i.sku}  ${i.name} · ${i.size}  stock ${i.stock} (${runsOut(i)})  order ${i.suggestedQuantity}${i.supplier ? `  from ${i.supplier}` : ''}`),
+        '',
+        `Reorder list: ${CLIENT_URL}/admin/inventory`
+      ].join('\n') + '\n'
+    };
+  }
+};
+
+module.exports = { templates, escape, layout, button, paragraph, money };
@@ -0,0 +1,62 @@
+// ================================================
+// services/orderNumbers.js — Order number sequence
+// Numbers look like ZA-2026-000123-3: prefix, year, sequence and a Luhn
+// check digit that catches typos when customers read a number back.
+// The sequence comes from models/Counter.js, so concurrent checkouts never
+// share a number, and restarts every year unless ORDER_NUMBER_YEARLY=false
+// (then: ZA-000123-0).
+// ================================================
+
+const Counter = require('../models/Counter');
+
+const PREFIX = (process.env.ORDER_NUMBER_PREFIX || 'ZA').toUpperCase();
+const YEARLY = process.env.ORDER_NUMBER_YEARLY !== 'false';
+const DIGITS = Number(process.env.ORDER_NUMBER_DIGITS) || 6;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const PATTERN = new RegExp(`^${escapeRegex(PREFIX)}-(?:(\\d{4})-)?(\\d{${DIGITS},})-(\\d)$`);
+
+// Luhn check digit over a string of digits
+const checkDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+const format = (seq, year) => {
+  const number = String(seq).padStart(DIGITS, '0');
+  const payload = YEARLY ? `${year}${number}` : number;
+  const parts = YEARLY ? [PREFIX, year, number] : [PREFIX, number];
+  return [...parts, checkDigit(payload)].join('-');
+};
+
+const sequenceName = (year) => (YEARLY ? `order-${year}` : 'order');
+
+// Next number for an order placed at `date` (the migration passes the
+// original order date so old orders land in their own year)
+const nextOrderNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const seq = await Counter.next(sequenceName(year));
+  return format(seq, year);
+};
+
+// Trims and upper-cases what a customer typed
+const normalizeOrderNumber = (input) => String(input || '').trim().toUpperCase();
+
+// True for a well-formed number with a correct check digit
+const isValidOrderNumber = (input) => {
+  const match = PATTERN.exec(normalizeOrderNumber(input));
+  if (!match) return false;
+  const [, year, number, check] = match;
+  if (YEARLY !== Boolean(year)) return false;
+  return checkDigit(`${year || ''}${number}`) === Number(check);
+};
+
+module.exports = { checkDigit, format, nextOrderNumber, normalizeOrderNumber, isValidOrderNumber };
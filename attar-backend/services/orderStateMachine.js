@@ -0,0 +1,243 @@
+// ================================================
+// services/orderStateMachine.js — Order lifecycle
+// Every order status change goes through transition(): it checks the
+// move is allowed from the current status, that the caller (customer,
+// admin, webhook, system) may make it, claims it atomically and runs
+// the side effects for the new status.
+// ================================================
+
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const { releaseStock } = require('./inventory');
+const { refundableAmount, refundPayment } = require('./refunds');
+const { sendEmail } = require('./mail');
+const httpError = require('../utils/httpError');
+const { withTransaction } = require('../utils/transaction');
+
+const ACTORS = ['customer', 'admin', 'webhook', 'system'];
+
+// from → to → who may trigger it. Anything not listed is illegal.
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['customer', 'admin', 'webhook', 'system'],
+    cancelled: ['customer', 'admin', 'webhook', 'system']
+  },
+  confirmed: {
+    processing: ['admin'],
+    shipped: ['admin'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  processing: {
+    shipped: ['admin'],
+    cancelled: ['admin']
+  },
+  shipped: {
+    delivered: ['admin', 'system'],
+    cancelled: ['admin']                      // refused COD parcel came back
+  },
+  delivered: {
+    refunded: ['admin', 'webhook', 'system']
+  },
+  cancelled: {},
+  refunded: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+const isPaid = (order) => ['paid', 'partially_refunded'].includes(order.payment.status);
+
+// Put a cancelled order's stock and coupon back, once. The claim
+// (reservation.releasedAt) and the restock commit together, so a failure
+// leaves the order unclaimed and flagged with releaseFailedAt for the
+// reservation job to retry. Returns true when this call released it.
+const releaseOrder = async (order, { actor, message } = {}) => {
+  try {
+    const released = await withTransaction(async ({ session, onRollback }) => {
+      const claim = await Order.updateOne(
+        { _id: order._id, 'reservation.releasedAt': { $exists: false } },
+        { $set: { 'reservation.releasedAt': new Date() }, $unset: { 'reservation.releaseFailedAt': 1 } },
+        { session }
+      );
+      if (claim.modifiedCount !== 1) return false;
+      onRollback(() => Order.updateOne({ _id: order._id }, { $unset: { 'reservation.releasedAt': 1 } }));
+
+      await releaseStock(order.items, { session, type: 'cancel', order: order._id, actor, reason: message });
+      if (order.coupon?.code) await Coupon.release(order.coupon.code, session);
+      return true;
+    });
+
+    if (released) {
+      order.reservation.releasedAt = new Date();
+      order.reservation.releaseFailedAt = undefined;
+    }
+    return released;
+  } catch (err) {
+    console.error(`🔴 Restock for cancelled order ${order.orderNumber} failed:`, err.message);
+    await Order.updateOne({ _id: order._id }, { $set: { 'reservation.releaseFailedAt': new Date() } });
+    order.reservation.releaseFailedAt = new Date();
+    order.statusHistory.push({ status: 'cancelled', message: 'Restock failed — it will be retried' });
+    return false;
+  }
+};
+
+// ─── Guards ───────────────────────────────────────
+// Extra conditions on a transition; return a message to refuse it
+const GUARDS = {
+  confirmed: (order, actor) => {
+    if (actor === 'customer' && order.payment.method !== 'cod') {
+      return 'Only cash on delivery orders can be confirmed by the customer';
+    }
+    if (actor === 'webhook' && !isPaid(order)) {
+      return 'Card orders are confirmed once their payment is captured';
+    }
+  },
+  cancelled: (order) => {
+    if (order.status === 'shipped' && !order.payment.cod?.refusedAt) {
+      return 'Shipped orders can only be cancelled when a COD delivery was refused — use a return instead';
+    }
+  }
+};
+
+// ─── Hooks ────────────────────────────────────────
+// before: runs ahead of the claim — throwing aborts the transition.
+// claimed: runs once the status is claimed, before the order is saved — for
+// side effects that must happen once (money); throwing hands the order back
+// to its old status and aborts.
+// after: runs once the new status is stored — failures are logged and noted
+// on the order, never rolled back.
+const HOOKS = {
+  refunded: {
+    claimed: async (order, { message }) => {
+      if (isPaid(order) && refundableAmount(order) > 0) {
+        await refundPayment(order, refundableAmount(order), { reason: message || 'Order refunded' });
+      }
+    }
+  },
+
+  delivered: {
+    // Card payments were captured at checkout; COD is collected at the door.
+    // collectedAmount defaults to the order total.
+    before: async (order, { collectedAmount }) => {
+      if (order.payment.method === 'cod' && order.payment.status === 'pending') {
+        const amount = collectedAmount !== undefined ? Number(collectedAmount) : order.pricing.total;
+        order.payment.status = 'paid';
+        order.payment.paidAt = new Date();
+        order.payment.cod.collectedAt = new Date();
+        order.payment.cod.collectedAmount = amount;
+        order.statusHistory.push({
+          status: order.status,
+          message: `Cash collected: $${amount.toFixed(2)}` +
+            (amount < order.pricing.total ? ` — $${(order.pricing.total - amount).toFixed(2)} short` : '')
+        });
+      }
+    },
+    after: async (order) => {
+      await sendEmail('orderDelivered', await order.customerEmail(), { order });
+    }
+  },
+
+  shipped: {
+    after: async (order) => {
+      await sendEmail('orderShipped', await order.customerEmail(), { order });
+    }
+  },
+
+  cancelled: {
+    after: async (order, { actor, message }) => {
+      // Once only — a racing expiry job or retry must not add stock twice
+      await releaseOrder(order, { actor, message });
+
+      // Paid orders get their money back
+      if (isPaid(order) && refundableAmount(order) > 0) {
+        try {
+          await refundPayment(order, refundableAmount(order), { reason: 'Order cancelled' });
+        } catch (err) {
+          console.error(`🔴 Refund for cancelled order ${order.orderNumber} failed:`, err.message);
+          order.statusHistory.push({ status: 'cancelled', message: 'Automatic refund failed — refund manually' });
+        }
+      }
+
+      await sendEmail('orderCancelled', await order.customerEmail(), { order, reason: message });
+    }
+  }
+};
+
+// Where an order may go next, optionally narrowed to one actor
+const allowedTransitions = (from, actor) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, actors]) => !actor || actors.includes(actor))
+    .map(([to]) => to);
+
+// Throws 400 for unknown statuses, 409 for illegal moves and 403 when the
+// actor may not make an otherwise legal move
+const assertTransition = (order, to, actor) => {
+  if (!STATUSES.includes(to)) throw httpError(400, `Invalid status: ${to}`);
+  if (!ACTORS.includes(actor)) throw httpError(400, `Unknown actor: ${actor}`);
+
+  const from = order.status;
+  const actors = TRANSITIONS[from]?.[to];
+  if (!actors) {
+    const next = allowedTransitions(from);
+    throw httpError(409, `Cannot move order from ${from} to ${to}` +
+      (next.length ? ` (allowed: ${next.join(', ')})` : ` — ${from} is final`));
+  }
+  if (!actors.includes(actor)) {
+    throw httpError(403, `A ${actor} cannot move an order from ${from} to ${to}`);
+  }
+
+  const refusal = GUARDS[to]?.(order, actor);
+  if (refusal) throw httpError(409, refusal);
+};
+
+// Move an order to a new status.
+// Options: actor (required), message for the history, tracking for shipments;
+// anything else (e.g. collectedAmount on delivery) is handed to the hooks.
+// Saves and returns the order.
+const transition = async (order, to, { actor, message, tracking, ...details } = {}) => {
+  assertTransition(order, to, actor);
+  const from = order.status;
+  const hooks = HOOKS[to] || {};
+
+  if (hooks.before) await hooks.before(order, { actor, message, ...details });
+
+  // Claim the move so two concurrent requests can't both apply it
+  const claim = await Order.updateOne({ _id: order._id, status: from }, { $set: { status: to } });
+  if (claim.modifiedCount !== 1) {
+    throw httpError(409, 'Order status was changed by another request — reload and try again');
+  }
+
+  if (hooks.claimed) {
+    try {
+      await hooks.claimed(order, { actor, message, ...details });
+    } catch (err) {
+      await Order.updateOne({ _id: order._id, status: to }, { $set: { status: from } });
+      throw err;
+    }
+  }
+
+  order.status = to;
+  order.statusHistory.push({ status: to, message: message || `Status updated to ${to}` });
+  if (tracking) order.tracking = tracking;
+  await order.save();
+
+  if (hooks.after) {
+    try {
+      await hooks.after(order, { actor, message, ...details });
+      if (order.isModified()) await order.save();
+    } catch (err) {
+      console.error(`🔴 ${to} hook for order ${order.orderNumber} failed:`, err.message);
+    }
+  }
+
+  return order;
+};
+
+module.exports = {
+  ACTORS,
+  TRANSITIONS,
+  STATUSES,
+  allowedTransitions,
+  assertTransition,
+  transition,
+  releaseOrder
+};
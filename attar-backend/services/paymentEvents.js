@@ -0,0 +1,156 @@
+// ================================================
+// services/paymentEvents.js — Stripe webhook event handling
+// Events are logged in PaymentEvent first, then applied to their order.
+// Handlers check the order's current state before changing anything, so
+// a redelivered or replayed event is harmless.
+// ================================================
+
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { recordRefund } = require('./refunds');
+const { transition } = require('./orderStateMachine');
+const { sendEmail } = require('./mail');
+
+const findOrderByIntent = (paymentIntentId) =>
+  paymentIntentId ? Order.findOne({ 'payment.stripePaymentId': paymentIntentId }) : null;
+
+// ─── Handlers ─────────────────────────────────────
+// Each returns { order, result } — result is a short note for the event log,
+// or null when the event didn't apply to anything.
+const HANDLERS = {
+  'payment_intent.succeeded': async (paymentIntent) => {
+    const order = await findOrderByIntent(paymentIntent.id);
+    if (!order) return { result: null };
+    if (['paid', 'partially_refunded', 'refunded'].includes(order.payment.status)) {
+      return { order, result: 'Payment already recorded' };
+    }
+
+    order.payment.status = 'paid';
+    order.payment.paidAt = new Date();
+    order.reservation.expiresAt = undefined;
+
+    if (order.status === 'cancelled') {
+      // Reservation expired before the payment landed — stock is gone
+      order.statusHistory.push({ status: 'cancelled', message: 'Payment received after reservation expired — refund required' });
+      await order.save();
+      return { order, result: 'Paid after cancellation — refund required' };
+    }
+
+    if (order.status === 'pending') {
+      await transition(order, 'confirmed', { actor: 'webhook', message: 'Payment received successfully' });
+    } else {
+      await order.save();
+    }
+
+    await sendEmail('paymentReceived', await order.customerEmail(), { order });
+    return { order, result: 'Payment recorded' };
+  },
+
+  'payment_intent.payment_failed': async (paymentIntent) => {
+    const order = await findOrderByIntent(paymentIntent.id);
+    if (!order) return { result: null };
+    if (order.payment.status !== 'pending') return { order, result: `Ignored — payment is ${order.payment.status}` };
+
+    order.payment.status = 'failed';
+    order.statusHistory.push({
+      status: order.status,
+      message: `Payment failed${paymentIntent.last_payment_error?.message ? `: ${paymentIntent.last_payment_error.message}` : ''}`
+    });
+    await order.save();
+    return { order, result: 'Payment marked failed' };
+  },
+
+  // Cancelled on Stripe's side (or by our expiry job) — release the order
+  'payment_intent.canceled': async (paymentIntent) => {
+    const order = await findOrderByIntent(paymentIntent.id);
+    if (!order) return { result: null };
+    if (order.status !== 'pending') return { order, result: `Ignored — order is ${order.status}` };
+
+    await transition(order, 'cancelled', { actor: 'webhook', message: 'Payment was cancelled' });
+    return { order, result: 'Order cancelled' };
+  },
+
+  // Refunds made from the Stripe dashboard; ones issued through the API are
+  // stored under their refund id, and recordRefund() skips ids already stored
+  'charge.refunded': async (charge) => {
+    const order = await findOrderByIntent(charge.payment_intent);
+    if (!order) return { result: null };
+
+    const known = new Set(order.payment.refunds.map(r => r.stripeRefundId).filter(Boolean));
+    const refunds = (charge.refunds?.data || []).filter(r => r.status !== 'failed' && !known.has(r.id));
+
+    let recorded = 0;
+    for (const refund of refunds) {
+      const result = await recordRefund(order, {
+        amount: refund.amount / 100,
+        stripeRefundId: refund.id,
+        method: 'stripe',
+        reason: refund.reason || 'Refunded in Stripe'
+      });
+      if (result.recorded) recorded++;
+    }
+    if (!recorded) return { order, result: 'Refunds already recorded' };
+    await order.save();
+
+    if (order.payment.status === 'refunded' && order.status === 'delivered') {
+      await transition(order, 'refunded', { actor: 'webhook', message: 'Fully refunded in Stripe' });
+    }
+    return { order, result: `Recorded ${recorded} refund(s)` };
+  },
+
+  'charge.dispute.created': async (dispute) => {
+    const order = await findOrderByIntent(dispute.payment_intent);
+    if (!order) return { result: null };
+    if (order.payment.dispute?.id === dispute.id) return { order, result: 'Dispute already recorded' };
+
+    order.payment.dispute = {
+      id: dispute.id,
+      reason: dispute.reason,
+      amount: dispute.amount / 100,
+      status: dispute.status,
+      openedAt: dispute.created ? new Date(dispute.created * 1000) : new Date()
+    };
+    order.statusHistory.push({
+      status: order.status,
+      message: `Payment disputed (${dispute.reason || 'no reason given'}) — respond in Stripe`
+    });
+    await order.save();
+
+    console.warn(`⚠️  Dispute opened on order ${order.orderNumber}: ${dispute.reason}`);
+    return { order, result: 'Dispute recorded' };
+  }
+};
+
+// Run the handler for a logged event and store the outcome.
+// Throws when the handler fails, so the webhook answers 500 and Stripe retries.
+const processPaymentEvent = async (record) => {
+  const claimed = await PaymentEvent.findOneAndUpdate(
+    { _id: record._id, ...PaymentEvent.claimable() },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return record; // another delivery is on it
+
+  const handler = HANDLERS[claimed.type];
+  try {
+    const { order, result } = handler
+      ? await handler(claimed.payload.data.object)
+      : { result: null };
+
+    claimed.status = result ? 'processed' : 'ignored';
+    claimed.result = result || (handler ? 'No matching order' : 'Unhandled event type');
+    if (order) claimed.order = order._id;
+    claimed.lastError = undefined;
+    claimed.processedAt = new Date();
+    await claimed.save();
+  } catch (err) {
+    claimed.status = 'failed';
+    claimed.lastError = err.message;
+    await claimed.save();
+    throw err;
+  }
+
+  return claimed;
+};
+
+module.exports = { HANDLED_EVENTS: Object.keys(HANDLERS), processPaymentEvent };
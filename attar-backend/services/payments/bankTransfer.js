@@ -0,0 +1,79 @@
+// ================================================
+// services/payments/bankTransfer.js — Manual bank transfer
+// The customer gets our account details and a reference code to quote;
+// an admin marks the order paid once the transfer shows up.
+// ================================================
+
+const crypto = require('crypto');
+const httpError = require('../../utils/httpError');
+
+const HOLD_DAYS = Number(process.env.BANK_TRANSFER_HOLD_DAYS) || 3;
+
+// No 0/O or 1/I — the reference is typed by hand into banking apps
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateReference = () =>
+  'ZA' + [...crypto.randomBytes(8)].map(b => REFERENCE_ALPHABET[b % REFERENCE_ALPHABET.length]).join('');
+
+const account = () => ({
+  accountName: process.env.BANK_ACCOUNT_NAME || 'Zafar Attar',
+  bankName: process.env.BANK_NAME || '',
+  iban: process.env.BANK_IBAN || '',
+  swift: process.env.BANK_SWIFT || ''
+});
+
+const instructions = (order) => ({
+  ...account(),
+  reference: order.payment.reference,
+  amount: order.pricing.total,
+  currency: 'USD',
+  dueBy: order.reservation?.expiresAt,
+  note: `Quote ${order.payment.reference} as the payment reference so we can match your transfer`
+});
+
+module.exports = {
+  method: 'bank_transfer',
+  label: 'Bank transfer',
+  holdMinutes: HOLD_DAYS * 24 * 60,
+  startOnCheckout: true,                 // instructions go out with the order confirmation
+
+  isAvailable: () => Boolean(process.env.BANK_IBAN),
+
+  instructions,
+
+  createPayment: async (order) => {
+    if (!order.payment.reference) order.payment.reference = generateReference();
+    return { amount: order.pricing.total, instructions: instructions(order) };
+  },
+
+  // Customers can't confirm a transfer themselves — an admin records it
+  confirmPayment: async () => {
+    throw httpError(400, 'Bank transfers are confirmed by our team once the money arrives');
+  },
+
+  // Admin: the transfer arrived. A short payment is refused so the order isn't shipped underpaid.
+  markReceived: (order, { amount, bankReference } = {}) => {
+    if (order.payment.status !== 'pending' && order.payment.status !== 'failed') {
+      throw httpError(409, `Payment is already ${order.payment.status}`);
+    }
+
+    const received = amount !== undefined ? Number(amount) : order.pricing.total;
+    if (received < order.pricing.total) {
+      throw httpError(400, `Received $${received.toFixed(2)} but the order total is $${order.pricing.total.toFixed(2)}`);
+    }
+
+    order.payment.status = 'paid';
+    order.payment.paidAt = new Date();
+    order.payment.transactionId = bankReference;
+    return { paid: true, actor: 'admin', message: `Bank transfer received${bankReference ? ` (${bankReference})` : ''}` };
+  },
+
+  // Paid back by hand from the bank — record only
+  refund: async () => ({ refundId: null }),
+
+  cancelPayment: async () => {},
+
+  handleWebhook: async () => {
+    throw httpError(404, 'Bank transfer has no webhooks');
+  }
+};
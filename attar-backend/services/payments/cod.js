@@ -0,0 +1,125 @@
+// ================================================
+// services/payments/cod.js — Cash on delivery
+// Nothing is collected up front; the order is marked paid when it is
+// delivered (see the order state machine). Eligibility rules and the
+// optional SMS confirmation code are set in config/cod.js.
+// ================================================
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const rules = require('../../config/cod');
+const httpError = require('../../utils/httpError');
+const { sendSms } = require('../sms');
+
+const hashOtp = (otp) => crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+// Texts a fresh 6-digit code to the shipping phone. The caller saves the order.
+const sendOtp = async (order) => {
+  const cod = order.payment.cod;
+  if (cod.otpSentAt && Date.now() - cod.otpSentAt.getTime() < rules.otpResendSeconds * 1000) {
+    throw httpError(429, `Please wait ${rules.otpResendSeconds} seconds before requesting another code`);
+  }
+
+  const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  cod.otpHash = hashOtp(otp);
+  cod.otpExpires = new Date(Date.now() + rules.otpMinutes * 60 * 1000);
+  cod.otpAttempts = 0;
+  cod.otpSentAt = new Date();
+
+  await sendSms(order.shippingAddress.phone,
+    `Zafar Attar: ${otp} is your code to confirm cash on delivery order ${order.orderNumber}. It expires in ${rules.otpMinutes} minutes.`);
+};
+
+// Checks a code against the stored hash (which is not loaded by default)
+const verifyOtp = async (order, otp) => {
+  const Order = mongoose.model('Order');
+  const stored = await Order.findById(order._id).select('+payment.cod.otpHash');
+  const cod = stored.payment.cod;
+
+  if (!cod?.otpHash) throw httpError(400, 'Request a confirmation code first');
+  if (cod.otpExpires < new Date()) throw httpError(400, 'Confirmation code has expired — request a new one');
+  if (cod.otpAttempts >= rules.otpMaxAttempts) throw httpError(429, 'Too many wrong codes — request a new one');
+
+  const given = Buffer.from(hashOtp(otp || ''));
+  if (!crypto.timingSafeEqual(given, Buffer.from(cod.otpHash))) {
+    await Order.updateOne({ _id: order._id }, { $inc: { 'payment.cod.otpAttempts': 1 } });
+    throw httpError(400, 'Incorrect confirmation code');
+  }
+
+  order.payment.cod.phoneVerifiedAt = new Date();
+  order.payment.cod.otpHash = undefined;
+  order.payment.cod.otpExpires = undefined;
+};
+
+module.exports = {
+  method: 'cod',
+  label: 'Cash on delivery',
+  holdMinutes: null,                     // stock stays reserved until delivery or cancellation
+  startOnCheckout: true,                 // no client-side payment step
+
+  isAvailable: () => true,
+
+  // Checkout refuses COD when any rule fails: { eligible, reason }
+  checkEligibility: async ({ user, email, address, total }) => {
+    if (rules.maxOrderValue && total > rules.maxOrderValue) {
+      return { eligible: false, reason: `Cash on delivery is available for orders up to $${rules.maxOrderValue}` };
+    }
+
+    const country = String(address?.country || '').trim().toUpperCase();
+    if (rules.countries.length && !rules.countries.includes(country)) {
+      return { eligible: false, reason: 'Cash on delivery is not available in your country' };
+    }
+
+    const customer = user ? { user: user._id } : email ? { 'guest.email': String(email).toLowerCase() } : null;
+    if (rules.maxRefusals > 0 && customer) {
+      const refused = await mongoose.model('Order').countDocuments({
+        ...customer,
+        'payment.method': 'cod',
+        'payment.cod.refusedAt': { $exists: true }
+      });
+      if (refused >= rules.maxRefusals) {
+        return { eligible: false, reason: 'Cash on delivery is unavailable on this account — please pay online' };
+      }
+    }
+
+    return { eligible: true };
+  },
+
+  createPayment: async (order) => {
+    if (!rules.requireOtp) {
+      return { amount: order.pricing.total, message: 'Pay the courier in cash when your order arrives' };
+    }
+
+    await sendOtp(order);
+    return {
+      amount: order.pricing.total,
+      otpRequired: true,
+      message: `Enter the code we sent to ${order.shippingAddress.phone} to confirm your order`
+    };
+  },
+
+  sendOtp,
+
+  // The customer confirms they want the order sent — with the SMS code when
+  // required. Admins confirm by phone and skip the code.
+  confirmPayment: async (order, { otp, actor } = {}) => {
+    if (rules.requireOtp && actor !== 'admin') await verifyOtp(order, otp);
+    return { paid: false, confirm: true, message: 'Cash on delivery order confirmed' };
+  },
+
+  // The courier brought the parcel back. The caller cancels the order.
+  markRefused: (order, { reason } = {}) => {
+    if (order.payment.cod.refusedAt) throw httpError(409, 'Refusal already recorded');
+    order.payment.cod.refusedAt = new Date();
+    order.payment.cod.refusalReason = reason;
+  },
+
+  // Cash goes back by hand — record only
+  refund: async () => ({ refundId: null }),
+
+  cancelPayment: async () => {},
+
+  handleWebhook: async () => {
+    throw httpError(404, 'Cash on delivery has no webhooks');
+  }
+};
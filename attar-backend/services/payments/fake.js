@@ -0,0 +1,45 @@
+// ================================================
+// services/payments/fake.js — Offline test provider
+// Enabled with FAKE_PAYMENTS=true. Payments succeed on confirm unless
+// { outcome: 'fail' } is sent, so checkout can be exercised end to end
+// without network access. Never enable it in production.
+// ================================================
+
+const crypto = require('crypto');
+const httpError = require('../../utils/httpError');
+const { RESERVATION_MINUTES } = require('../inventory');
+
+const fakeId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+module.exports = {
+  method: 'fake',
+  label: 'Test payment',
+  holdMinutes: RESERVATION_MINUTES,
+
+  isAvailable: () => process.env.FAKE_PAYMENTS === 'true',
+
+  createPayment: async (order) => {
+    if (!order.payment.transactionId) order.payment.transactionId = fakeId('pay');
+    return { amount: order.pricing.total, paymentId: order.payment.transactionId };
+  },
+
+  confirmPayment: async (order, { outcome } = {}) => {
+    if (outcome === 'fail') {
+      order.payment.status = 'failed';
+      return { paid: false, message: 'Test payment declined' };
+    }
+
+    order.payment.status = 'paid';
+    order.payment.paidAt = new Date();
+    return { paid: true, actor: 'system', message: 'Test payment captured' };
+  },
+
+  // Recorded like a manual refund
+  refund: async () => ({ refundId: null }),
+
+  cancelPayment: async () => {},
+
+  handleWebhook: async () => {
+    throw httpError(404, 'The test provider has no webhooks');
+  }
+};
@@ -0,0 +1,35 @@
+// ================================================
+// services/payments/index.js — Payment provider registry
+// Every provider implements the same interface:
+//   createPayment(order)            → what the client needs to pay
+//   confirmPayment(order, details)  → { paid, confirm?, actor?, message }
+//   refund(order, amount, opts)     → { refundId }
+//   cancelPayment(order)            → stop an open payment
+//   handleWebhook(req)              → { statusCode, body }
+// Optional: holdMinutes (how long unpaid orders keep their stock) and
+// startOnCheckout (createPayment runs when the order is placed).
+// Providers only touch order.payment; status changes stay with the caller.
+// ================================================
+
+const httpError = require('../../utils/httpError');
+
+const PROVIDERS = {
+  stripe: require('./stripe'),
+  cod: require('./cod'),
+  bank_transfer: require('./bankTransfer'),
+  fake: require('./fake')
+};
+
+const getProvider = (method) => {
+  const provider = PROVIDERS[method];
+  if (!provider) throw httpError(400, `Unknown payment method: ${method}`);
+  return provider;
+};
+
+// Checkout only offers what is configured here
+const availableMethods = () =>
+  Object.values(PROVIDERS)
+    .filter(p => p.isAvailable())
+    .map(p => ({ method: p.method, label: p.label }));
+
+module.exports = { PROVIDERS, getProvider, availableMethods };
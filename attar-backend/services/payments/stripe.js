@@ -0,0 +1,124 @@
+// ================================================
+// services/payments/stripe.js — Card payments through Stripe
+// The customer pays client-side with the PaymentIntent secret; the
+// webhook (or confirmPayment as a fallback) records the outcome.
+// ================================================
+
+const { getStripe } = require('../../config/stripe');
+const { RESERVATION_MINUTES } = require('../inventory');
+const httpError = require('../../utils/httpError');
+
+const client = () => {
+  const stripe = getStripe();
+  if (!stripe) throw httpError(503, 'Payment service not configured. Add STRIPE_SECRET_KEY to .env');
+  return stripe;
+};
+
+module.exports = {
+  method: 'stripe',
+  label: 'Credit / debit card',
+  holdMinutes: RESERVATION_MINUTES,
+
+  isAvailable: () => Boolean(getStripe()),
+
+  // Reuses an open PaymentIntent so a retried checkout doesn't create a second one
+  createPayment: async (order) => {
+    const stripe = client();
+
+    let paymentIntent;
+    if (order.payment.stripePaymentId) {
+      paymentIntent = await stripe.paymentIntents.retrieve(order.payment.stripePaymentId);
+      if (['canceled', 'succeeded'].includes(paymentIntent.status)) paymentIntent = null;
+    }
+
+    if (!paymentIntent) {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(order.pricing.total * 100), // in cents
+        currency: 'usd',
+        metadata: {
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          userId: order.user ? order.user.toString() : '',
+          guestEmail: order.guest?.email || ''
+        }
+      });
+    }
+
+    order.payment.stripePaymentId = paymentIntent.id;
+    order.payment.stripeClientSecret = paymentIntent.client_secret;
+
+    return {
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      amount: order.pricing.total
+    };
+  },
+
+  // Ask Stripe directly — covers a webhook that is late or never arrives
+  confirmPayment: async (order) => {
+    if (!order.payment.stripePaymentId) throw httpError(400, 'No card payment has been started for this order');
+
+    const paymentIntent = await client().paymentIntents.retrieve(order.payment.stripePaymentId);
+    if (paymentIntent.status !== 'succeeded') {
+      return { paid: false, message: `Payment is ${paymentIntent.status.replace(/_/g, ' ')}` };
+    }
+
+    order.payment.status = 'paid';
+    order.payment.paidAt = new Date();
+    return { paid: true, actor: 'system', message: 'Card payment confirmed' };
+  },
+
+  refund: async (order, amount, { reason } = {}) => {
+    if (!order.payment.stripePaymentId) throw httpError(400, 'Order has no Stripe payment to refund');
+
+    // Keyed on what was already refunded, so a retried or doubled request gets
+    // the same refund back while a later refund of the same amount still goes out
+    const cents = Math.round(amount * 100);
+    const refund = await client().refunds.create({
+      payment_intent: order.payment.stripePaymentId,
+      amount: cents,
+      metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber, reason: reason || '' }
+    }, {
+      idempotencyKey: `refund:${order._id}:${Math.round((order.payment.refundedAmount || 0) * 100)}:${cents}`
+    });
+    return { refundId: refund.id };
+  },
+
+  // Stop a late payment from succeeding against a cancelled order
+  cancelPayment: async (order) => {
+    if (order.payment.stripePaymentId) {
+      await client().paymentIntents.cancel(order.payment.stripePaymentId);
+    }
+  },
+
+  // Verifies the signature, logs the event once and applies it.
+  // Returns { statusCode, body } for the route to send.
+  handleWebhook: async (req) => {
+    const stripe = getStripe();
+    if (!stripe || !process.env.STRIPE_WEBHOOK_SECRET) {
+      return { statusCode: 200, body: { received: true } };
+    }
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      return { statusCode: 400, body: { message: `Webhook error: ${err.message}` } };
+    }
+
+    // Required here — the event handlers depend on the order state machine, which refunds through this module
+    const PaymentEvent = require('../../models/PaymentEvent');
+    const { processPaymentEvent } = require('../paymentEvents');
+
+    try {
+      const { record, duplicate } = await PaymentEvent.record(event);
+      if (duplicate) return { statusCode: 200, body: { received: true, duplicate: true } };
+
+      await processPaymentEvent(record);
+      return { statusCode: 200, body: { received: true } };
+    } catch (error) {
+      console.error(`🔴 Webhook ${event.type} (${event.id}) failed:`, error.message);
+      return { statusCode: 500, body: { received: false, message: error.message } };
+    }
+  }
+};
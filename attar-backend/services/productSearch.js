@@ -0,0 +1,133 @@
+// ================================================
+// services/productSearch.js — Faceted product search
+// One aggregation returns the page of results, the total and a count per
+// value of every facet. Values within a facet are OR-ed, facets are
+// AND-ed, and each facet's counts ignore its own selection — so picking
+// "Unisex" still shows how many "Masculine" products there are.
+// ================================================
+
+const Product = require('../models/Product');
+
+// Query parameter → product path. Array paths are unwound for counting.
+const FACETS = {
+  category: { path: 'category' },
+  gender: { path: 'gender' },
+  season: { path: 'season', array: true },
+  longevity: { path: 'longevity' },
+  sillage: { path: 'sillage' },
+  origin: { path: 'origin' },
+  concentration: { path: 'concentration' },
+  topNotes: { path: 'notes.top', array: true },
+  middleNotes: { path: 'notes.middle', array: true },
+  baseNotes: { path: 'notes.base', array: true }
+};
+
+const MAX_LIMIT = 48;
+const FACET_VALUES = 50;   // most common values returned per facet
+
+// ?season=Winter&season=Autumn or ?season=Winter,Autumn
+const listParam = (value) => [].concat(value ?? [])
+  .flatMap(v => String(v).split(','))
+  .map(v => v.trim())
+  .filter(Boolean);
+
+// Named sorts, or any "field" / "-field". Searches default to relevance.
+const SORTS = {
+  relevance: { score: -1 },
+  price: { minPrice: 1 },
+  '-price': { minPrice: -1 },
+  rating: { 'ratings.average': -1 },
+  newest: { createdAt: -1 }
+};
+const parseSort = (sort, hasSearch) => {
+  if (!sort || sort === 'relevance') return hasSearch ? SORTS.relevance : SORTS.newest;
+  if (SORTS[sort]) return SORTS[sort];
+
+  const field = String(sort).replace(/^-/, '');
+  if (!/^[a-zA-Z.]+$/.test(field)) return SORTS.newest;
+  return { [field]: String(sort).startsWith('-') ? -1 : 1 };
+};
+
+// Fields customers never see in listings
+const HIDDEN = {
+  __v: 0,
+  'sizes.reorderPoint': 0,
+  'sizes.supplier': 0,
+  'sizes.leadTimeDays': 0,
+  'sizes.lowStockAlertAt': 0
+};
+
+const searchProducts = async (params = {}) => {
+  const { search, minPrice, maxPrice, inStock, sort } = params;
+  const page = Math.max(Number(params.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(params.limit) || 12, 1), MAX_LIMIT);
+  const text = String(search || '').trim();
+
+  // Filters every facet shares. $text has to be in the first stage.
+  const base = { isActive: true };
+  if (text) base.$text = { $search: text };
+  if (inStock === 'true' || inStock === true) base['sizes.stock'] = { $gt: 0 };
+  if (minPrice || maxPrice) {
+    base['sizes.price'] = {};
+    if (minPrice) base['sizes.price'].$gte = Number(minPrice);
+    if (maxPrice) base['sizes.price'].$lte = Number(maxPrice);
+  }
+
+  const selected = {};
+  for (const [name, { path }] of Object.entries(FACETS)) {
+    const values = listParam(params[name]);
+    if (values.length) selected[name] = { [path]: { $in: values } };
+  }
+  const filtersExcept = (skip) => Object.entries(selected)
+    .filter(([name]) => name !== skip)
+    .reduce((match, [, condition]) => ({ ...match, ...condition }), {});
+
+  const facetPipelines = {};
+  for (const [name, { path, array }] of Object.entries(FACETS)) {
+    facetPipelines[name] = [
+      { $match: filtersExcept(name) },
+      ...(array ? [{ $unwind: `$${path}` }] : []),
+      { $match: { [path]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_VALUES },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+  }
+
+  const [result] = await Product.aggregate([
+    { $match: base },
+    ...(text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    {
+      $facet: {
+        products: [
+          { $match: filtersExcept() },
+          { $addFields: { minPrice: { $min: '$sizes.price' } } },
+          { $sort: { ...parseSort(sort, Boolean(text)), _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: HIDDEN }
+        ],
+        total: [{ $match: filtersExcept() }, { $count: 'count' }],
+        ...facetPipelines
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  const facets = {};
+  for (const name of Object.keys(FACETS)) {
+    const chosen = listParam(params[name]);
+    facets[name] = result[name].map(f => ({ ...f, selected: chosen.includes(f.value) }));
+  }
+
+  return {
+    products: result.products,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    facets
+  };
+};
+
+module.exports = { FACETS, searchProducts };
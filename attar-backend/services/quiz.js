@@ -0,0 +1,151 @@
+// ================================================
+// services/quiz.js — Scent finder scoring
+// The chosen answers add up to a set of preferences (attribute, value,
+// weight). Every active, in-stock product scores the sum of the weights
+// it matches; the match percentage is that score against the most any
+// product could reach. Each result says which answers it matched and
+// which it went against.
+// ================================================
+
+const Product = require('../models/Product');
+const QuizQuestion = require('../models/QuizQuestion');
+const httpError = require('../utils/httpError');
+
+const FIELDS = 'name slug images sizes.price sizes.stock sizes.volume notes gender season sillage longevity concentration category origin badge ratings';
+
+const lower = (v) => String(v || '').trim().toLowerCase();
+const minPrice = (p) => (p.sizes?.length ? Math.min(...p.sizes.map(s => s.price)) : null);
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A note preference matches product notes containing it as a word:
+// "Rose" matches "Taif Rose", "Oud" matches "Dark Oud" but not "Agarwood"
+const noteMatcher = (tiers) => (product, value) => {
+  const word = new RegExp(`\\b${escapeRegex(value)}\\b`, 'i');
+  return tiers.flatMap(t => product.notes?.[t] || []).find(n => word.test(n)) || null;
+};
+const fieldMatcher = (field) => (product, value) => {
+  const values = [].concat(product[field] || []);
+  return values.find(v => lower(v) === lower(value)) || null;
+};
+
+// attribute → { match(product, value) → matched text or null, describe(matched), multi }
+// multi: a product can match several values at once (they add up)
+const ATTRIBUTES = {
+  gender: { match: fieldMatcher('gender'), describe: (v) => v },
+  season: { match: fieldMatcher('season'), describe: (v) => `Suits ${v.toLowerCase()}`, multi: true },
+  sillage: { match: fieldMatcher('sillage'), describe: (v) => `${v} sillage` },
+  longevity: { match: fieldMatcher('longevity'), describe: (v) => `Lasts ${v}` },
+  category: { match: fieldMatcher('category'), describe: (v) => v },
+  concentration: { match: fieldMatcher('concentration'), describe: (v) => `${v} concentration` },
+  origin: { match: fieldMatcher('origin'), describe: (v) => `From ${v}` },
+  notes: { match: noteMatcher(['top', 'middle', 'base']), describe: (v) => `${v} note`, multi: true },
+  topNotes: { match: noteMatcher(['top']), describe: (v) => `${v} top note`, multi: true },
+  middleNotes: { match: noteMatcher(['middle']), describe: (v) => `${v} heart note`, multi: true },
+  baseNotes: { match: noteMatcher(['base']), describe: (v) => `${v} base note`, multi: true },
+  maxPrice: {
+    match: (product, value) => {
+      const price = minPrice(product);
+      return price !== null && price <= Number(value) ? price : null;
+    },
+    describe: (price) => `From $${price}`
+  }
+};
+
+// ─── Answers → preferences ────────────────────────
+// answers: [{ question, answers: [answerId] }]. Unknown ids are rejected;
+// questions left out are simply skipped.
+const buildPreferences = async (submitted) => {
+  if (!Array.isArray(submitted) || !submitted.length) throw httpError(400, 'Answer at least one question');
+
+  const questions = await QuizQuestion.find({ isActive: true });
+  const byId = new Map(questions.map(q => [q._id.toString(), q]));
+
+  const chosen = [];       // { question, answers } as saved on the profile
+  const preferences = new Map();
+  for (const entry of submitted) {
+    const question = byId.get(String(entry?.question));
+    if (!question) throw httpError(400, 'Unknown quiz question');
+
+    const ids = [...new Set([].concat(entry.answers ?? []).map(String))];
+    if (!ids.length) continue;
+    if (ids.length > 1 && !question.multiple) throw httpError(400, `Pick one answer for "${question.question}"`);
+
+    const answers = ids.map(id => question.answers.id(id));
+    if (answers.some(a => !a)) throw httpError(400, `Unknown answer for "${question.question}"`);
+
+    chosen.push({ question: question._id, answers: answers.map(a => a._id) });
+    for (const answer of answers) {
+      for (const { attribute, value, weight } of answer.weights) {
+        const key = `${attribute}:${lower(value)}`;
+        const pref = preferences.get(key) || { attribute, value, weight: 0, because: [] };
+        pref.weight += weight;
+        pref.because.push(answer.label);
+        preferences.set(key, pref);
+      }
+    }
+  }
+  if (!chosen.length) throw httpError(400, 'Answer at least one question');
+
+  return { chosen, preferences: [...preferences.values()].filter(p => p.weight !== 0) };
+};
+
+// Highest score a product could reach: every positive multi-valued
+// preference, but only the best single value of the others
+const maxScore = (preferences) => {
+  const best = {};
+  let total = 0;
+  for (const { attribute, weight } of preferences) {
+    if (weight <= 0) continue;
+    if (ATTRIBUTES[attribute].multi) total += weight;
+    else best[attribute] = Math.max(best[attribute] || 0, weight);
+  }
+  return total + Object.values(best).reduce((s, w) => s + w, 0);
+};
+
+// ─── Scoring ──────────────────────────────────────
+const scoreProduct = (product, preferences, ceiling) => {
+  let score = 0;
+  const reasons = [];
+  const drawbacks = [];
+
+  for (const pref of preferences) {
+    const matched = ATTRIBUTES[pref.attribute].match(product, pref.value);
+    if (matched === null) continue;
+
+    score += pref.weight;
+    const text = `${ATTRIBUTES[pref.attribute].describe(matched)} — you chose ${pref.because.map(l => `“${l}”`).join(', ')}`;
+    (pref.weight > 0 ? reasons : drawbacks).push({ text, weight: Math.abs(pref.weight) });
+  }
+
+  const top = (list) => list.sort((a, b) => b.weight - a.weight).slice(0, 4).map(r => r.text);
+  return {
+    score,
+    match: ceiling > 0 ? Math.max(0, Math.min(100, Math.round(score / ceiling * 100))) : 0,
+    reasons: top(reasons),
+    drawbacks: top(drawbacks)
+  };
+};
+
+// Ranked, explained products for a set of quiz answers
+const takeQuiz = async (submitted, { limit = 6 } = {}) => {
+  const { chosen, preferences } = await buildPreferences(submitted);
+  const products = await Product.find({ isActive: true, 'sizes.stock': { $gt: 0 } }).select(FIELDS).lean();
+  const ceiling = maxScore(preferences);
+
+  const ranked = products
+    .map(product => ({ product, result: scoreProduct(product, preferences, ceiling) }))
+    .filter(r => r.result.score > 0)
+    .sort((a, b) => b.result.score - a.result.score || (b.product.ratings?.average || 0) - (a.product.ratings?.average || 0))
+    .slice(0, limit)
+    .map(({ product, result }) => ({ ...product, quiz: result }));
+
+  return {
+    answers: chosen,
+    preferences: preferences
+      .sort((a, b) => b.weight - a.weight)
+      .map(({ attribute, value, weight }) => ({ attribute, value, weight })),
+    products: ranked
+  };
+};
+
+module.exports = { takeQuiz };
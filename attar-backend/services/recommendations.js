@@ -0,0 +1,206 @@
+// ================================================
+// services/recommendations.js — Scent-profile recommendations
+// Products are compared on what they smell and wear like: shared notes
+// (base notes count most), gender, season, sillage, longevity and price
+// band. On top of that, products often bought in the same order get a
+// boost ("customers who bought this also bought").
+// ================================================
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+// Relative importance of each signal in the final score
+const WEIGHTS = {
+  notes: 4,
+  gender: 1,
+  season: 1,
+  sillage: 0.75,
+  longevity: 0.75,
+  price: 1,
+  category: 0.5
+};
+
+// Share of the final score that comes from co-purchases; the rest is scent similarity
+const BOUGHT_TOGETHER_SHARE = 0.3;
+
+const NOTE_TIERS = { top: 1, middle: 1.5, base: 2 };
+const SILLAGE = ['Intimate', 'Moderate', 'Strong', 'Very Strong'];
+const LONGEVITY = ['4-6 hours', '6-8 hours', '8-12 hours', '12+ hours'];
+
+// Everything the scoring needs, and what the listing shows
+const FIELDS = 'name slug images sizes.price sizes.stock sizes.volume notes gender season sillage longevity category badge ratings isActive';
+const COUNTED_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+const normalize = (values) => (values || []).map(v => String(v).trim().toLowerCase()).filter(Boolean);
+const overlap = (a, b) => a.filter(v => b.includes(v));
+const jaccard = (a, b) => {
+  const union = new Set([...a, ...b]).size;
+  return union ? overlap(a, b).length / union : 0;
+};
+const minPrice = (p) => (p.sizes?.length ? Math.min(...p.sizes.map(s => s.price)) : 0);
+const scale = (list, a, b) => {
+  const i = list.indexOf(a);
+  const j = list.indexOf(b);
+  return i < 0 || j < 0 ? 0 : 1 - Math.abs(i - j) / (list.length - 1);
+};
+const listNames = (values) => (values.length > 2 ? `${values.slice(0, 2).join(', ')} and more` : values.join(' and '));
+
+// ─── Similarity ───────────────────────────────────
+// Score two products 0..1 and say why they are alike
+const similarity = (a, b) => {
+  const parts = {};
+  const reasons = [];
+
+  // Notes — per tier, plus any note the two share in different tiers
+  let tierScore = 0;
+  for (const [tier, weight] of Object.entries(NOTE_TIERS)) {
+    const x = normalize(a.notes?.[tier]);
+    const y = normalize(b.notes?.[tier]);
+    tierScore += jaccard(x, y) * weight;
+    const same = (b.notes?.[tier] || []).filter(n => x.includes(n.trim().toLowerCase()));
+    if (same.length) reasons.push(`Shares ${tier} notes: ${listNames(same)}`);
+  }
+  const allA = normalize(Object.values(a.notes || {}).flat());
+  const allB = normalize(Object.values(b.notes || {}).flat());
+  const crossTier = jaccard(allA, allB);
+  const tiers = Object.values(NOTE_TIERS).reduce((s, w) => s + w, 0);
+  parts.notes = Math.min(1, tierScore / tiers + crossTier * 0.5);
+
+  if (a.gender && b.gender) {
+    parts.gender = a.gender === b.gender ? 1 : [a.gender, b.gender].includes('Unisex') ? 0.5 : 0;
+    if (a.gender === b.gender) reasons.push(a.gender === 'Unisex' ? 'Also unisex' : `Also ${a.gender.toLowerCase()}`);
+  }
+
+  const seasonsA = a.season || [];
+  const seasonsB = b.season || [];
+  if (seasonsA.length && seasonsB.length) {
+    const allYear = seasonsA.includes('All Year') || seasonsB.includes('All Year');
+    parts.season = Math.max(jaccard(seasonsA, seasonsB), allYear ? 0.5 : 0);
+    const same = overlap(seasonsB, seasonsA).filter(s => s !== 'All Year');
+    if (same.length) reasons.push(`Suits ${listNames(same).toLowerCase()}`);
+  }
+
+  if (a.sillage && b.sillage) {
+    parts.sillage = scale(SILLAGE, a.sillage, b.sillage);
+    if (a.sillage === b.sillage) reasons.push(`${b.sillage} sillage`);
+  }
+  if (a.longevity && b.longevity) {
+    parts.longevity = scale(LONGEVITY, a.longevity, b.longevity);
+    if (a.longevity === b.longevity) reasons.push(`Lasts ${b.longevity}`);
+  }
+
+  const [low, high] = [minPrice(a), minPrice(b)].sort((x, y) => x - y);
+  if (high > 0) {
+    parts.price = low / high;
+    if (parts.price >= 0.67) reasons.push('Similar price');
+  }
+
+  parts.category = a.category === b.category ? 1 : 0;
+
+  // Average over the signals both products have
+  const used = Object.keys(parts);
+  const total = used.reduce((s, k) => s + WEIGHTS[k], 0);
+  const score = used.reduce((s, k) => s + parts[k] * WEIGHTS[k], 0) / total;
+
+  return { score, reasons };
+};
+
+// ─── Co-purchases ─────────────────────────────────
+// productId → number of orders that also contained it, for orders with any
+// of the given products
+const boughtTogether = async (productIds) => {
+  const rows = await Order.aggregate([
+    { $match: { 'items.product': { $in: productIds }, status: { $in: COUNTED_STATUSES } } },
+    { $project: { products: { $setUnion: ['$items.product', []] } } },
+    { $unwind: '$products' },
+    { $match: { products: { $nin: productIds } } },
+    { $group: { _id: '$products', orders: { $sum: 1 } } },
+    { $sort: { orders: -1 } },
+    { $limit: 50 }
+  ]);
+  return new Map(rows.map(r => [r._id.toString(), r.orders]));
+};
+
+// Combine scent similarity to the seed products with co-purchase counts.
+// seeds: [{ product, weight, label }] — label names the seed in reasons
+const rank = (candidates, seeds, together, limit) => {
+  const maxTogether = Math.max(1, ...together.values());
+  const totalWeight = seeds.reduce((s, seed) => s + seed.weight, 0);
+
+  return candidates
+    .map(candidate => {
+      let scent = 0;
+      let best = null;
+      for (const seed of seeds) {
+        const match = similarity(seed.product, candidate);
+        scent += match.score * seed.weight / totalWeight;
+        if (!best || match.score > best.match.score) best = { seed, match };
+      }
+
+      const orders = together.get(candidate._id.toString()) || 0;
+      const score = scent * (1 - BOUGHT_TOGETHER_SHARE) + (orders / maxTogether) * BOUGHT_TOGETHER_SHARE;
+
+      const reasons = best.seed.label
+        ? best.match.reasons.map(r => `${r} — like ${best.seed.product.name}`)
+        : [...best.match.reasons];
+      if (orders) reasons.unshift('Often bought together');
+
+      return { product: candidate, score, reasons: reasons.slice(0, 4), boughtTogether: orders };
+    })
+    .sort((a, b) => b.score - a.score || (b.product.ratings?.average || 0) - (a.product.ratings?.average || 0))
+    .slice(0, limit);
+};
+
+const asResult = ({ product, score, reasons, boughtTogether: orders }) => ({
+  ...product,
+  recommendation: { score: Math.round(score * 100) / 100, reasons, boughtTogether: orders }
+});
+
+// ─── Related to one product ───────────────────────
+const relatedProducts = async (product, { limit = 4 } = {}) => {
+  const [candidates, together] = await Promise.all([
+    Product.find({ _id: { $ne: product._id }, isActive: true }).select(FIELDS).lean(),
+    boughtTogether([product._id])
+  ]);
+  return rank(candidates, [{ product, weight: 1 }], together, limit).map(asResult);
+};
+
+// ─── Personal ─────────────────────────────────────
+// Seeds: what the user ordered (more weight for repeat purchases) and
+// their wishlist. Products already bought are not suggested again.
+const userRecommendations = async (user, { limit = 8 } = {}) => {
+  const orders = await Order.find({ user: user._id, status: { $in: COUNTED_STATUSES } }).select('items.product items.quantity');
+
+  const weights = new Map();
+  orders.forEach(order => order.items.forEach(item => {
+    const id = item.product.toString();
+    weights.set(id, (weights.get(id) || 0) + 1);
+  }));
+  const bought = new Set(weights.keys());
+  (user.wishlist || []).forEach(id => {
+    const key = id.toString();
+    weights.set(key, (weights.get(key) || 0) + 0.75);
+  });
+
+  const products = await Product.find({ isActive: true }).select(FIELDS).lean();
+
+  // Nothing to go on yet — best rated first
+  if (!weights.size) {
+    return products
+      .sort((a, b) => (b.ratings?.average || 0) - (a.ratings?.average || 0) || (b.ratings?.count || 0) - (a.ratings?.count || 0))
+      .slice(0, limit)
+      .map(product => asResult({ product, score: 0, reasons: ['Popular with our customers'], boughtTogether: 0 }));
+  }
+
+  const byId = new Map(products.map(p => [p._id.toString(), p]));
+  const seeds = [...weights.entries()]
+    .filter(([id]) => byId.has(id))
+    .map(([id, weight]) => ({ product: byId.get(id), weight, label: bought.has(id) ? 'bought' : 'wishlist' }));
+  if (!seeds.length) return [];
+
+  const together = await boughtTogether([...bought].map(id => byId.get(id)?._id).filter(Boolean));
+  const candidates = products.filter(p => !weights.has(p._id.toString()));
+  return rank(candidates, seeds, together, limit).map(asResult);
+};
+
+module.exports = { FIELDS, similarity, relatedProducts, userRecommendations };
@@ -0,0 +1,95 @@
+// ================================================
+// services/refunds.js — Order refunds
+// ================================================
+
+const mongoose = require('mongoose');
+const { getProvider } = require('./payments');
+const httpError = require('../utils/httpError');
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// What the customer actually paid for `quantity` units of an order line:
+// its share of the order discount comes off, exclusive tax goes on.
+const lineRefundAmount = (order, item, quantity) => {
+  const lineGross = item.price * item.quantity;
+  const discountShare = order.pricing.subtotal > 0
+    ? (order.pricing.discount || 0) * lineGross / order.pricing.subtotal
+    : 0;
+  const lineTax = order.pricing.taxInclusive ? 0 : (item.tax || 0);
+  return round((lineGross - discountShare + lineTax) * quantity / item.quantity);
+};
+
+const refundableAmount = (order) =>
+  round(order.pricing.total - (order.payment.refundedAmount || 0));
+
+// Refund part or all of an order's payment and record it on the order.
+// The payment's provider issues it — Stripe through its API; COD and bank
+// transfer refunds are paid out by hand and only recorded. The refund is
+// stored before this returns; the caller saves the order for its history
+// entry. The order status is left to the state machine.
+const refundPayment = async (order, amount, { reason } = {}) => {
+  amount = round(amount);
+
+  if (!['paid', 'partially_refunded'].includes(order.payment.status)) {
+    throw httpError(400, 'Order has no captured payment to refund');
+  }
+  if (amount <= 0) throw httpError(400, 'Refund amount must be greater than zero');
+  if (amount > refundableAmount(order)) {
+    throw httpError(400, `Refund exceeds the refundable amount of $${refundableAmount(order).toFixed(2)}`);
+  }
+
+  const provider = getProvider(order.payment.method);
+  const { refundId } = await provider.refund(order, amount, { reason });
+  const stripeRefundId = order.payment.method === 'stripe' ? refundId : undefined;
+
+  const { fully } = await recordRefund(order, { amount, stripeRefundId, reason });
+  return { amount, stripeRefundId, fully };
+};
+
+const PAYMENT_PATHS = ['payment.refunds', 'payment.refundedAmount', 'payment.status'];
+
+// Write a refund onto the order — also used for refunds made outside the API
+// (e.g. from the Stripe dashboard, reported by webhook). One atomic update
+// stores it, skipped when a refund with the same Stripe id is already there,
+// so a webhook arriving while the API call is still running can't book it
+// twice. The payment fields on `order` are then synced from the database and
+// left unmodified; the history entry is saved with the order by the caller.
+// Returns { recorded, fully } — recorded is false for a refund already stored.
+const recordRefund = async (order, { amount, stripeRefundId, reason, method = order.payment.method }) => {
+  amount = round(amount);
+  const Order = order.constructor;
+  const entry = { _id: new mongoose.Types.ObjectId(), amount, method, reason, createdAt: new Date() };
+  if (stripeRefundId) entry.stripeRefundId = stripeRefundId;
+
+  const filter = { _id: order._id };
+  if (stripeRefundId) filter['payment.refunds.stripeRefundId'] = { $ne: stripeRefundId };
+
+  // Totals and status come from the stored order, so concurrent refunds add up
+  const stored = await Order.findOneAndUpdate(filter, [
+    { $set: {
+      'payment.refunds': { $concatArrays: [{ $ifNull: ['$payment.refunds', []] }, [{ $literal: entry }]] },
+      'payment.refundedAmount': { $round: [{ $add: [{ $ifNull: ['$payment.refundedAmount', 0] }, amount] }, 2] }
+    } },
+    { $set: {
+      'payment.status': { $cond: [{ $gte: ['$payment.refundedAmount', '$pricing.total'] }, 'refunded', 'partially_refunded'] }
+    } }
+  ], { new: true }).select(PAYMENT_PATHS.join(' '));
+  const current = stored || await Order.findById(order._id).select(PAYMENT_PATHS.join(' '));
+
+  for (const path of PAYMENT_PATHS) {
+    order.set(path, current.get(path));
+    order.unmarkModified(path);
+  }
+
+  const fully = refundableAmount(order) <= 0;
+  if (!stored) return { recorded: false, fully };
+
+  order.statusHistory.push({
+    status: order.status,
+    message: `${fully ? 'Full' : 'Partial'} refund of $${amount.toFixed(2)} ${stripeRefundId ? 'issued via Stripe' : 'recorded (manual)'}${reason ? ` — ${reason}` : ''}`
+  });
+
+  return { recorded: true, fully };
+};
+
+module.exports = { lineRefundAmount, refundableAmount, refundPayment, recordRefund };
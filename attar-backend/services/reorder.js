@@ -0,0 +1,155 @@
+// ================================================
+// services/reorder.js — Low-stock alerts + reorder suggestions
+// Sales velocity per SKU comes from the order lines of the last
+// REORDER_VELOCITY_DAYS; from it we project the days until each SKU runs
+// out. A SKU needs reordering when its stock is at or below its reorder
+// point, or when it will run out before a new delivery could arrive.
+//
+// Alerts go out once per crossing: the SKU is flagged (lowStockAlertAt)
+// and only re-armed after it is restocked above the threshold.
+//
+// INVENTORY_ALERT_EMAIL       — comma-separated; default: every admin
+// INVENTORY_ALERT_WEBHOOK_URL — optional; POSTed { event, items } as JSON,
+//                               bearer INVENTORY_ALERT_WEBHOOK_TOKEN
+// ================================================
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { sendEmail } = require('./mail');
+const csv = require('../utils/csv');
+
+const DEFAULT_REORDER_POINT = Number(process.env.REORDER_POINT_DEFAULT) || 5;
+const DEFAULT_LEAD_TIME_DAYS = Number(process.env.REORDER_LEAD_TIME_DAYS) || 14;
+const VELOCITY_DAYS = Number(process.env.REORDER_VELOCITY_DAYS) || 30;
+const COVER_DAYS = Number(process.env.REORDER_COVER_DAYS) || 30;   // stock a reorder should last beyond the lead time
+
+// Units sold per product + size over the velocity window
+const unitsSold = async (since) => {
+  const rows = await Order.aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $nin: ['cancelled', 'refunded'] } } },
+    { $unwind: '$items' },
+    { $group: { _id: { product: '$items.product', size: '$items.size' }, units: { $sum: '$items.quantity' } } }
+  ]);
+  return new Map(rows.map(r => [`${r._id.product}:${r._id.size}`, r.units]));
+};
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+// One row per SKU of every active product, most urgent first
+const buildReorderReport = async () => {
+  const since = new Date(Date.now() - VELOCITY_DAYS * 24 * 60 * 60 * 1000);
+  const [products, sold] = await Promise.all([
+    Product.find({ isActive: true }).select('name category sizes'),
+    unitsSold(since)
+  ]);
+
+  const rows = [];
+  for (const product of products) {
+    for (const size of product.sizes) {
+      const units = sold.get(`${product._id}:${size.volume}`) || 0;
+      const velocity = units / VELOCITY_DAYS;
+      const reorderPoint = size.reorderPoint ?? DEFAULT_REORDER_POINT;
+      const leadTimeDays = size.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+      const daysToStockout = velocity > 0 ? Math.floor(size.stock / velocity) : null;
+
+      let status = 'ok';
+      if (size.stock === 0) status = 'out_of_stock';
+      else if (size.stock <= reorderPoint) status = 'below_reorder_point';
+      else if (daysToStockout !== null && daysToStockout <= leadTimeDays) status = 'runs_out_before_restock';
+
+      // Enough to last the lead time plus COVER_DAYS and still sit above the reorder point
+      const target = Math.ceil(velocity * (leadTimeDays + COVER_DAYS)) + reorderPoint;
+
+      rows.push({
+        product: product._id,
+        name: product.name,
+        category: product.category,
+        sku: size.sku,
+        size: size.volume,
+        stock: size.stock,
+        reorderPoint,
+        supplier: size.supplier || null,
+        leadTimeDays,
+        unitsSold: units,
+        dailyVelocity: round(velocity),
+        daysToStockout,
+        status,
+        suggestedQuantity: status === 'ok' ? 0 : Math.max(target - size.stock, 1),
+        alertedAt: size.lowStockAlertAt || null
+      });
+    }
+  }
+
+  // Out of stock, then soonest to run out; SKUs that are fine go last
+  const urgency = (r) => (r.status === 'ok' ? Infinity : r.stock === 0 ? -1 : r.daysToStockout ?? Number.MAX_SAFE_INTEGER);
+  return rows.sort((a, b) => urgency(a) - urgency(b) || a.stock - b.stock);
+};
+
+// Reorder list as CSV, grouped by supplier for ordering
+const CSV_COLUMNS = ['supplier', 'sku', 'name', 'size', 'stock', 'reorderPoint', 'dailyVelocity', 'daysToStockout', 'leadTimeDays', 'suggestedQuantity', 'status'];
+const toCsv = (rows) => csv.toCsv(
+  CSV_COLUMNS,
+  [...rows].sort((a, b) => (a.supplier || '').localeCompare(b.supplier || ''))
+);
+
+// ─── Alerts ───────────────────────────────────────
+const alertRecipients = async () => {
+  if (process.env.INVENTORY_ALERT_EMAIL) {
+    return process.env.INVENTORY_ALERT_EMAIL.split(',').map(e => e.trim()).filter(Boolean);
+  }
+  const admins = await User.find({ role: 'admin', isActive: { $ne: false } }).select('email');
+  return admins.map(a => a.email);
+};
+
+const postWebhook = async (items) => {
+  const url = process.env.INVENTORY_ALERT_WEBHOOK_URL;
+  if (!url) return;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.INVENTORY_ALERT_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.INVENTORY_ALERT_WEBHOOK_TOKEN}` } : {})
+    },
+    body: JSON.stringify({ event: 'inventory.low_stock', items }),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) throw new Error(`Inventory webhook answered ${response.status}`);
+};
+
+const setAlertFlag = (rows, value) => Promise.all(rows.map(r => Product.updateOne(
+  { _id: r.product, 'sizes.sku': r.sku },
+  value ? { $set: { 'sizes.$.lowStockAlertAt': value } } : { $unset: { 'sizes.$.lowStockAlertAt': 1 } }
+)));
+
+// The scheduled job: alert on SKUs that newly need reordering, re-arm the
+// ones that recovered. Returns the number of SKUs alerted.
+const runReorderCheck = async () => {
+  const report = await buildReorderReport();
+
+  const crossed = report.filter(r => r.status !== 'ok' && !r.alertedAt);
+  const recovered = report.filter(r => r.status === 'ok' && r.alertedAt);
+  await setAlertFlag(recovered, null);
+  if (!crossed.length) return 0;
+
+  const recipients = await alertRecipients();
+  for (const to of recipients) {
+    await sendEmail('lowStockAlert', to, { items: crossed });
+  }
+
+  // Flag first so a failing webhook doesn't re-send the email every run
+  await setAlertFlag(crossed, new Date());
+  await postWebhook(crossed)
+    .catch(err => console.error('🔴 Inventory alert webhook failed:', err.message));
+
+  return crossed.length;
+};
+
+module.exports = {
+  DEFAULT_REORDER_POINT,
+  DEFAULT_LEAD_TIME_DAYS,
+  buildReorderReport,
+  toCsv,
+  runReorderCheck
+};
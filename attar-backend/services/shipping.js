@@ -0,0 +1,106 @@
+// ================================================
+// services/shipping.js — Shipping rate engine
+// ================================================
+
+const ShippingZone = require('../models/ShippingZone');
+
+// Used for sizes without a weight (bottle + packaging, grams)
+const DEFAULT_ITEM_WEIGHT = 100;
+
+// Applies when no zone has been configured yet
+const FALLBACK_OPTION = {
+  id: 'default:standard',
+  service: 'standard',
+  name: 'Standard Shipping',
+  carrier: null,
+  freeShippingThreshold: 100,
+  flatRate: 9.99
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// lines: [{ price, quantity, weight? }]
+const parcelWeight = (items) =>
+  items.reduce((w, i) => w + (i.weight || DEFAULT_ITEM_WEIGHT) * i.quantity, 0);
+
+const rateCost = (rate, { subtotal, weight }) => {
+  if (rate.method === 'weight' && rate.weightTiers.length) {
+    const tiers = [...rate.weightTiers].sort((a, b) => a.upTo - b.upTo);
+    return (tiers.find(t => weight <= t.upTo) || tiers[tiers.length - 1]).rate;
+  }
+  if (rate.method === 'price' && rate.priceTiers.length) {
+    const tiers = [...rate.priceTiers].sort((a, b) => b.minSubtotal - a.minSubtotal);
+    return (tiers.find(t => subtotal >= t.minSubtotal) || tiers[tiers.length - 1]).rate;
+  }
+  return rate.flatRate;
+};
+
+// Most specific active zone for the address (catch-all "*" zones match anything)
+const findZone = async (address) => {
+  const zones = await ShippingZone.find({ isActive: true });
+
+  let best = null;
+  let bestScore = 0;
+  for (const zone of zones) {
+    const score = zone.matchScore(address);
+    if (score > bestScore || (score && score === bestScore && zone.priority > best.priority)) {
+      best = zone;
+      bestScore = score;
+    }
+  }
+
+  return { zone: best, configured: zones.length > 0 };
+};
+
+// All options available for an address + cart, cheapest first
+const quoteShipping = async ({ address, items }) => {
+  const subtotal = items.reduce((s, i) => s + i.price * i.quantity, 0);
+  const weight = parcelWeight(items);
+  const { zone, configured } = await findZone(address);
+
+  if (!configured) {
+    const cost = subtotal === 0 || subtotal >= FALLBACK_OPTION.freeShippingThreshold ? 0 : FALLBACK_OPTION.flatRate;
+    return [{
+      id: FALLBACK_OPTION.id,
+      zone: null,
+      service: FALLBACK_OPTION.service,
+      name: FALLBACK_OPTION.name,
+      carrier: FALLBACK_OPTION.carrier,
+      cost,
+      estimatedDays: null
+    }];
+  }
+  if (!zone) return [];
+
+  return zone.rates
+    .filter(r => r.isActive)
+    .map(rate => {
+      const threshold = rate.freeShippingThreshold ?? zone.freeShippingThreshold;
+      const free = subtotal === 0 || (threshold !== undefined && threshold !== null && subtotal >= threshold);
+      return {
+        id: `${zone._id}:${rate.service}`,
+        zone: zone.name,
+        service: rate.service,
+        name: rate.name || `${rate.service.charAt(0).toUpperCase()}${rate.service.slice(1)} Shipping`,
+        carrier: rate.carrier || null,
+        cost: free ? 0 : round(rateCost(rate, { subtotal, weight })),
+        estimatedDays: rate.estimatedDays?.min !== undefined ? rate.estimatedDays : null
+      };
+    })
+    .sort((a, b) => a.cost - b.cost);
+};
+
+// Pick the option the customer asked for (by id or service name), or the cheapest.
+// Returns null when the address cannot be shipped to or the choice is not offered.
+const selectShipping = async ({ address, items, option }) => {
+  const options = await quoteShipping({ address, items });
+  if (!option) return options[0] || null;
+  return options.find(o => o.id === option || o.service === String(option).toLowerCase()) || null;
+};
+
+module.exports = {
+  DEFAULT_ITEM_WEIGHT,
+  parcelWeight,
+  quoteShipping,
+  selectShipping
+};
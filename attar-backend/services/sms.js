@@ -0,0 +1,42 @@
+// ================================================
+// services/sms.js — Text messages (COD confirmation codes)
+//
+// SMS_TRANSPORT:
+//   console — logs the message with codes masked (default; development
+//             only — in production sending fails until a gateway is set)
+//   webhook — POSTs { to, text } as JSON to SMS_WEBHOOK_URL, with
+//             SMS_WEBHOOK_TOKEN as a bearer token when set. Point it at
+//             your SMS gateway or a small relay in front of it.
+// ================================================
+
+const httpError = require('../utils/httpError');
+
+// Standalone 6-digit numbers (not parts of an order number like ZA-2026-000123-3)
+const maskCodes = (text) => text.replace(/(?<![\w-])\d{6}(?![\w-])/g, '••••••');
+
+const sendSms = async (to, text) => {
+  if (process.env.SMS_TRANSPORT !== 'webhook') {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('🔴 SMS not sent: set SMS_TRANSPORT=webhook and SMS_WEBHOOK_URL in production');
+      throw httpError(503, 'Text messages are not available right now');
+    }
+    console.log(`📱 SMS to ${to}: ${maskCodes(text)}`);
+    return;
+  }
+
+  const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.SMS_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` } : {})
+    },
+    body: JSON.stringify({ to, text }),
+    signal: AbortSignal.timeout(10000)
+  }).catch(err => {
+    throw httpError(502, `Could not send SMS: ${err.message}`);
+  });
+
+  if (!response.ok) throw httpError(502, `Could not send SMS (gateway answered ${response.status})`);
+};
+
+module.exports = { sendSms };
@@ -0,0 +1,209 @@
+// ================================================
+// services/suggest.js — Search-as-you-type suggestions
+// An in-memory index of product names, notes and categories, rebuilt from
+// MongoDB every SUGGEST_INDEX_SECONDS (default 300) or when a product
+// changes. Each query word may match a word in the index:
+//   exactly            — "rose"
+//   as a prefix        — "sandal" → "sandalwood"
+//   through a synonym  — "oudh" → "oud", "agarwood" (config/synonyms.js)
+//   with a typo        — "musc" → "musk", "jasmin" → "jasmine"
+// Every query word has to match for an entry to be suggested.
+// ================================================
+
+const Product = require('../models/Product');
+const SYNONYM_GROUPS = require('../config/synonyms');
+
+const INDEX_TTL_MS = (Number(process.env.SUGGEST_INDEX_SECONDS) || 300) * 1000;
+const LIMITS = { products: 6, notes: 5, categories: 3 };
+
+// How much each kind of match is worth
+const SCORES = { exact: 1, prefix: 0.8, synonym: 0.9, fuzzy: 0.6 };
+
+// Lower-case, strip accents and punctuation: "Ruh Gulab (Taif)" → ["ruh", "gulab", "taif"]
+const tokenize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const word of group) SYNONYMS.set(word, group.filter(w => w !== word));
+}
+
+// Optimal string alignment distance (edits incl. swapped letters), giving
+// up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      best = Math.min(best, rows[i][j]);
+    }
+    if (best > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos allowed for a word of this length — none for very short words
+const allowedTypos = (word) => (word.length >= 7 ? 2 : word.length >= 4 ? 1 : 0);
+
+// ─── Index ────────────────────────────────────────
+// entries: { type, label, fields: [{ tokens, weight }], popularity, data }
+// vocabulary: word → indexes of the entries containing it
+let index = null;
+let builtAt = 0;
+let building = null;
+
+const buildIndex = async () => {
+  const products = await Product.find({ isActive: true })
+    .select('name slug images sizes.price notes category tags ratings isFeatured')
+    .lean();
+
+  const entries = [];
+  const notes = new Map();
+  const categories = new Map();
+
+  for (const p of products) {
+    entries.push({
+      type: 'product',
+      label: p.name,
+      fields: [
+        { tokens: tokenize(p.name), weight: 1 },
+        { tokens: tokenize([...(p.tags || []), p.category, ...Object.values(p.notes || {}).flat()].join(' ')), weight: 0.5 }
+      ],
+      popularity: (p.ratings?.count || 0) + (p.isFeatured ? 10 : 0),
+      data: {
+        _id: p._id,
+        name: p.name,
+        slug: p.slug,
+        image: p.images?.[0]?.variants?.thumbnail || p.images?.[0]?.url || null,
+        price: p.sizes?.length ? Math.min(...p.sizes.map(s => s.price)) : null
+      }
+    });
+
+    for (const note of [...(p.notes?.top || []), ...(p.notes?.middle || []), ...(p.notes?.base || [])]) {
+      const key = note.trim();
+      if (key) notes.set(key, (notes.get(key) || 0) + 1);
+    }
+    if (p.category) categories.set(p.category, (categories.get(p.category) || 0) + 1);
+  }
+
+  for (const [type, counts] of [['note', notes], ['category', categories]]) {
+    for (const [label, count] of counts) {
+      entries.push({ type, label, fields: [{ tokens: tokenize(label), weight: 1 }], popularity: count, data: { value: label, count } });
+    }
+  }
+
+  const vocabulary = new Map();
+  entries.forEach((entry, i) => entry.fields.forEach(field => field.tokens.forEach(token => {
+    if (!vocabulary.has(token)) vocabulary.set(token, new Set());
+    vocabulary.get(token).add(i);
+  })));
+
+  return { entries, vocabulary };
+};
+
+const getIndex = async () => {
+  if (index && Date.now() - builtAt < INDEX_TTL_MS) return index;
+  if (!building) {
+    building = buildIndex()
+      .then(built => {
+        index = built;
+        builtAt = Date.now();
+        return built;
+      })
+      .finally(() => { building = null; });
+  }
+  // Serve the previous index while a rebuild is running
+  return index || building;
+};
+
+// Called when products change so new names show up right away
+const invalidateSuggestIndex = () => { builtAt = 0; };
+
+// ─── Matching ─────────────────────────────────────
+// Index words a query word can stand for, with the best score for each
+const expandWord = (word, vocabulary) => {
+  const matches = new Map();
+  const add = (token, score) => {
+    if (score > (matches.get(token) || 0)) matches.set(token, score);
+  };
+
+  // The word itself plus its synonyms — including those of a misspelt synonym ("roohh")
+  const terms = new Map([[word, 1]]);
+  for (const synonym of SYNONYMS.get(word) || []) terms.set(synonym, SCORES.synonym);
+  if (!SYNONYMS.has(word) && allowedTypos(word)) {
+    for (const [known, others] of SYNONYMS) {
+      if (editDistance(word, known, allowedTypos(word)) <= allowedTypos(word)) {
+        [known, ...others].forEach(t => { if (!terms.has(t)) terms.set(t, SCORES.fuzzy); });
+      }
+    }
+  }
+
+  for (const token of vocabulary.keys()) {
+    for (const [term, weight] of terms) {
+      if (token === term) add(token, weight * SCORES.exact);
+      else if (term.length >= 2 && token.startsWith(term)) add(token, weight * SCORES.prefix);
+    }
+
+    // Typos against the whole word, or against the start of a longer one ("sandlew" → "sandalwood")
+    const max = allowedTypos(word);
+    if (max && !matches.has(token)) {
+      const distance = Math.min(
+        editDistance(word, token, max),
+        token.length > word.length ? editDistance(word, token.slice(0, word.length), max) : max + 1
+      );
+      if (distance <= max) add(token, SCORES.fuzzy - 0.1 * distance);
+    }
+  }
+  return matches;
+};
+
+const suggest = async (query, limits = LIMITS) => {
+  const words = tokenize(query);
+  const empty = { products: [], notes: [], categories: [] };
+  if (!words.length) return empty;
+
+  const { entries, vocabulary } = await getIndex();
+
+  // entry index → running score; an entry drops out as soon as a word misses it
+  let scores = null;
+  for (const word of words) {
+    const matched = new Map();
+    for (const [token, score] of expandWord(word, vocabulary)) {
+      for (const i of vocabulary.get(token)) {
+        const weight = Math.max(...entries[i].fields.filter(f => f.tokens.includes(token)).map(f => f.weight));
+        matched.set(i, Math.max(matched.get(i) || 0, score * weight));
+      }
+    }
+
+    const next = new Map();
+    for (const [i, score] of matched) {
+      if (!scores || scores.has(i)) next.set(i, (scores?.get(i) || 0) + score);
+    }
+    scores = next;
+    if (!scores.size) return empty;
+  }
+
+  const ranked = [...scores.entries()]
+    .map(([i, score]) => ({ entry: entries[i], score }))
+    .sort((a, b) => b.score - a.score || b.entry.popularity - a.entry.popularity || a.entry.label.localeCompare(b.entry.label));
+
+  const pick = (type, limit) => ranked.filter(r => r.entry.type === type).slice(0, limit).map(r => r.entry.data);
+  return {
+    products: pick('product', limits.products),
+    notes: pick('note', limits.notes),
+    categories: pick('category', limits.categories)
+  };
+};
+
+module.exports = { tokenize, editDistance, suggest, invalidateSuggestIndex };
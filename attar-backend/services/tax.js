@@ -0,0 +1,67 @@
+// ================================================
+// services/tax.js — Region-aware tax calculation
+// ================================================
+
+const taxRules = require('../config/tax');
+
+const round = (n) => Math.round(n * 100) / 100;
+const normalize = (v) => String(v || '').trim().toUpperCase();
+
+// Country + state rule, then country rule, then the default
+const findTaxRule = (address = {}) => {
+  const country = normalize(address.country);
+  const state = normalize(address.state);
+  const inCountry = taxRules.regions.filter(r => r.countries.includes(country));
+
+  return inCountry.find(r => r.states && r.states.includes(state))
+    || inCountry.find(r => !r.states)
+    || taxRules.default;
+};
+
+// Tax on an amount at a rate — extracted when prices are tax-inclusive
+const taxOn = (amount, rate, inclusive) =>
+  round(inclusive ? amount - amount / (1 + rate) : amount * rate);
+
+// items: [{ product, size, category, price, quantity }]
+// The discount is spread over lines by value before tax is worked out.
+// Returns per-line tax plus totals; `lines` follows the order of `items`.
+const calculateTax = ({ address, items, shipping = 0, discount = 0 }) => {
+  const rule = findTaxRule(address);
+  const subtotal = items.reduce((s, i) => s + i.price * i.quantity, 0);
+
+  const lines = items.map(item => {
+    const gross = item.price * item.quantity;
+    const share = subtotal > 0 ? discount * gross / subtotal : 0;
+    const taxable = round(Math.max(gross - share, 0));
+    const rate = rule.categoryRates?.[item.category] ?? rule.rate;
+
+    return {
+      product: item.product,
+      size: item.size,
+      rate,
+      taxable,
+      tax: taxOn(taxable, rate, rule.inclusive)
+    };
+  });
+
+  const shippingTax = rule.taxShipping ? taxOn(shipping, rule.rate, rule.inclusive) : 0;
+  const total = round(lines.reduce((s, l) => s + l.tax, 0) + shippingTax);
+
+  return {
+    region: rule.name,
+    inclusive: !!rule.inclusive,
+    lines,
+    shippingTax,
+    total
+  };
+};
+
+// Grand total — inclusive tax is already inside the prices
+const orderTotal = ({ subtotal, shipping, discount, tax }) =>
+  round(subtotal + shipping - discount + (tax.inclusive ? 0 : tax.total));
+
+module.exports = {
+  findTaxRule,
+  calculateTax,
+  orderTotal
+};
@@ -0,0 +1,113 @@
+// ================================================
+// services/tracking.js — Public order tracking
+// Builds the customer-safe view of an order (no prices, payment details
+// or internal notes) and the signed links that open it without a login.
+// ================================================
+
+const jwt = require('jsonwebtoken');
+const CARRIERS = require('../config/carriers');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const LINK_DAYS = Number(process.env.TRACKING_LINK_DAYS) || 120;
+
+const secret = () => process.env.TRACKING_LINK_SECRET || process.env.JWT_SECRET || 'fallback_secret';
+
+// What the customer sees for each status — history messages can be internal
+const STATUS_LABELS = {
+  pending: 'Order placed',
+  confirmed: 'Order confirmed',
+  processing: 'Being prepared',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ─── Signed links ─────────────────────────────────
+const createTrackingToken = (order) =>
+  jwt.sign({ oid: order._id.toString(), purpose: 'track' }, secret(), { expiresIn: `${LINK_DAYS}d` });
+
+// Order id for a valid token, otherwise null
+const verifyTrackingToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token), secret());
+    return payload.purpose === 'track' ? payload.oid : null;
+  } catch {
+    return null;
+  }
+};
+
+const trackingUrl = (order) => `${CLIENT_URL}/track?token=${createTrackingToken(order)}`;
+
+// ─── View ─────────────────────────────────────────
+const carrierUrl = (tracking = {}) => {
+  if (tracking.url) return tracking.url;
+  const template = CARRIERS[String(tracking.carrier || '').trim().toLowerCase()];
+  return template && tracking.trackingNumber
+    ? template.replace('{number}', encodeURIComponent(tracking.trackingNumber))
+    : null;
+};
+
+// One entry per status change, with public wording
+const timeline = (order) => order.statusHistory
+  .filter((entry, i, all) => i === 0 || entry.status !== all[i - 1].status)
+  .map(entry => ({
+    status: entry.status,
+    label: STATUS_LABELS[entry.status] || entry.status,
+    timestamp: entry.timestamp
+  }));
+
+const statusDate = (order, status) =>
+  order.statusHistory.find(h => h.status === status)?.timestamp;
+
+// The carrier's date when we have one; otherwise the shipping method's
+// delivery window counted from dispatch (or from today, before dispatch)
+const estimatedDelivery = (order) => {
+  if (['delivered', 'cancelled', 'refunded'].includes(order.status)) return null;
+
+  const carrierDate = order.tracking?.estimatedDelivery;
+  if (carrierDate) return { earliest: carrierDate, latest: carrierDate };
+
+  const days = order.shippingMethod?.estimatedDays;
+  if (!days?.max) return null;
+
+  const from = statusDate(order, 'shipped') || new Date();
+  return {
+    earliest: new Date(from.getTime() + (days.min ?? days.max) * DAY),
+    latest: new Date(from.getTime() + days.max * DAY)
+  };
+};
+
+const publicTracking = (order) => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  statusLabel: STATUS_LABELS[order.status] || order.status,
+  placedAt: order.createdAt,
+  items: order.items.map(i => ({ name: i.name, size: i.size, quantity: i.quantity, image: i.image })),
+  shipTo: {
+    city: order.shippingAddress.city,
+    country: order.shippingAddress.country
+  },
+  shippingMethod: order.shippingMethod?.name || null,
+  tracking: order.tracking?.trackingNumber || order.tracking?.carrier
+    ? {
+        carrier: order.tracking.carrier,
+        trackingNumber: order.tracking.trackingNumber,
+        url: carrierUrl(order.tracking)
+      }
+    : null,
+  estimatedDelivery: estimatedDelivery(order),
+  deliveredAt: statusDate(order, 'delivered') || null,
+  timeline: timeline(order)
+});
+
+module.exports = {
+  STATUS_LABELS,
+  createTrackingToken,
+  verifyTrackingToken,
+  trackingUrl,
+  carrierUrl,
+  publicTracking
+};
@@ -0,0 +1,60 @@
+// ================================================
+// utils/csv.js — CSV reading + writing
+// Quoted fields may hold commas, line breaks and doubled quotes ("").
+// ================================================
+
+const httpError = require('./httpError');
+
+const cell = (value) => {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// rows: objects keyed by column name
+const toCsv = (columns, rows) => [
+  columns.map(cell).join(','),
+  ...rows.map(r => columns.map(c => cell(r[c])).join(','))
+].join('\n') + '\n';
+
+// Objects keyed by the header row; blank lines are skipped
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const s = String(text).replace(/^\uFEFF/, '');   // Excel's byte order mark
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw httpError(400, 'CSV has a quoted field that is never closed');
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(r => r.some(f => f.trim() !== ''));
+  if (!header) return [];
+  const columns = header.map(c => c.trim());
+  return rows.map(r => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ''])));
+};
+
+module.exports = { toCsv, parseCsv };
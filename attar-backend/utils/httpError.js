@@ -0,0 +1,10 @@
+// ================================================
+// utils/httpError.js — Error carrying an HTTP status
+// Services throw these; routes answer with error.statusCode || 500.
+// ================================================
+
+module.exports = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
@@ -0,0 +1,51 @@
+// ================================================
+// utils/stripeMock.js — Offline stand-in for the Stripe client
+// Implements the handful of calls the API makes, in memory.
+// Refuses to run in production: its webhooks take unsigned events.
+// ================================================
+
+const crypto = require('crypto');
+
+const id = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+module.exports = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('STRIPE_MOCK is for development only — its webhooks accept unsigned events. Unset it in production.');
+  }
+
+  const intents = new Map();
+  const refunds = [];
+
+  return {
+    paymentIntents: {
+      create: async (params) => {
+        const intentId = id('pi');
+        const intent = { id: intentId, client_secret: `${intentId}_secret`, status: 'requires_payment_method', ...params };
+        intents.set(intentId, intent);
+        return intent;
+      },
+      retrieve: async (intentId) => intents.get(intentId) || { id: intentId, status: 'succeeded' },
+      cancel: async (intentId) => {
+        const intent = intents.get(intentId) || { id: intentId };
+        intent.status = 'canceled';
+        return intent;
+      }
+    },
+
+    refunds: {
+      create: async ({ payment_intent, amount, metadata }, { idempotencyKey } = {}) => {
+        const seen = idempotencyKey && refunds.find(r => r.idempotencyKey === idempotencyKey);
+        if (seen) return seen;
+        const refund = { id: id('re'), object: 'refund', payment_intent, amount, metadata, status: 'succeeded', idempotencyKey };
+        refunds.push(refund);
+        return refund;
+      },
+      list: async () => ({ data: refunds })
+    },
+
+    // No signature to check offline — the body is the event
+    webhooks: {
+      constructEvent: (body) => JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : JSON.stringify(body))
+    }
+  };
+};
@@ -0,0 +1,40 @@
+// ================================================
+// utils/transaction.js — MongoDB transaction helper
+// ================================================
+
+const mongoose = require('mongoose');
+
+// Standalone mongod (the default local setup) has no transactions
+const isTransactionUnsupported = (err) =>
+  err.code === 20 || /Transaction numbers are only allowed/i.test(err.message || '');
+
+// Run work({ session, onRollback }) atomically.
+// On a replica set this is a real transaction and onRollback is a no-op.
+// On a standalone server work runs without a session, and the undo steps
+// registered through onRollback run in reverse order if it throws.
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work({ session, onRollback: () => {} });
+    });
+    return result;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+  } finally {
+    await session.endSession();
+  }
+
+  const undo = [];
+  try {
+    return await work({ session: null, onRollback: (fn) => undo.push(fn) });
+  } catch (err) {
+    for (const fn of undo.reverse()) {
+      await fn().catch(e => console.error('🔴 Rollback step failed:', e.message));
+    }
+    throw err;
+  }
+};
+
+module.exports = { withTransaction };